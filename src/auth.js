@@ -0,0 +1,127 @@
+/**
+ * Azure authentication and cloud endpoints shared by every Azure client of the action
+ */
+import * as core from '@actions/core';
+import {
+    AzureAuthorityHosts,
+    AzureCliCredential,
+    ClientAssertionCredential,
+    ClientCertificateCredential,
+    ClientSecretCredential,
+    DefaultAzureCredential,
+    ManagedIdentityCredential
+} from '@azure/identity';
+
+/**
+ * Endpoints of the supported Azure clouds
+ */
+export const CLOUDS = {
+    public: {
+        authorityHost: AzureAuthorityHosts.AzurePublicCloud,
+        resourceManager: 'https://management.azure.com',
+        logAnalytics: 'https://api.loganalytics.io',
+        portal: 'https://portal.azure.com',
+        oidcAudience: 'api://AzureADTokenExchange'
+    },
+    usgovernment: {
+        authorityHost: AzureAuthorityHosts.AzureGovernment,
+        resourceManager: 'https://management.usgovcloudapi.net',
+        logAnalytics: 'https://api.loganalytics.us',
+        portal: 'https://portal.azure.us',
+        oidcAudience: 'api://AzureADTokenExchangeUSGov'
+    },
+    china: {
+        authorityHost: AzureAuthorityHosts.AzureChina,
+        resourceManager: 'https://management.chinacloudapi.cn',
+        logAnalytics: 'https://api.loganalytics.azure.cn',
+        portal: 'https://portal.azure.cn',
+        oidcAudience: 'api://AzureADTokenExchangeChina'
+    }
+};
+
+/**
+ * Names accepted by the cloud input, including the ones used by the Azure CLI
+ */
+const CLOUD_ALIASES = {
+    azurecloud: 'public',
+    azureusgovernment: 'usgovernment',
+    azurechinacloud: 'china'
+};
+
+/**
+ * Supported values of the auth-type input
+ */
+export const AUTH_TYPES = ['default', 'oidc', 'service-principal', 'managed-identity', 'azure-cli'];
+
+let sharedCredential = null;
+let sharedCloud = CLOUDS.public;
+
+/**
+ * Resolve a cloud input to its name in CLOUDS
+ * @param {string} [cloud] - Cloud input, e.g. "public", "AzureUSGovernment" or "china"
+ * @returns {string|undefined} Cloud name, or undefined when the cloud is not supported
+ */
+export function resolveCloudName(cloud) {
+    const name = (cloud || 'public').toLowerCase();
+    const resolved = CLOUD_ALIASES[name] || name;
+    return CLOUDS[resolved] ? resolved : undefined;
+}
+
+/**
+ * Create the credential for an authentication mode
+ * @param {object} auth - Authentication inputs
+ * @param {string} auth.authType - One of AUTH_TYPES
+ * @param {string} [auth.tenantId] - Microsoft Entra tenant ID
+ * @param {string} [auth.clientId] - Application or managed identity client ID
+ * @param {string} [auth.clientSecret] - Service principal secret
+ * @param {string} [auth.clientCertificatePath] - Service principal PEM certificate path
+ * @param {object} cloud - Cloud endpoints from CLOUDS
+ * @returns {import('@azure/core-auth').TokenCredential} Credential
+ */
+function createCredential(auth, cloud) {
+    const { authType, tenantId, clientId, clientSecret, clientCertificatePath } = auth;
+    const options = { authorityHost: cloud.authorityHost };
+
+    switch (authType) {
+        case 'oidc':
+            // The GitHub OIDC token is exchanged for an Entra token through a federated credential
+            return new ClientAssertionCredential(tenantId, clientId, () => core.getIDToken(cloud.oidcAudience), options);
+        case 'service-principal':
+            return clientCertificatePath
+                ? new ClientCertificateCredential(tenantId, clientId, { certificatePath: clientCertificatePath }, options)
+                : new ClientSecretCredential(tenantId, clientId, clientSecret, options);
+        case 'managed-identity':
+            return new ManagedIdentityCredential(clientId ? { clientId } : {});
+        case 'azure-cli':
+            return new AzureCliCredential(tenantId ? { tenantId } : {});
+        default:
+            return new DefaultAzureCredential({ ...options, tenantId: tenantId || undefined });
+    }
+}
+
+/**
+ * Set up the credential and cloud that every Azure client of this run uses
+ * @param {object} auth - Authentication inputs, see createCredential, plus the cloud input
+ * @returns {void}
+ */
+export function configureAuth(auth) {
+    sharedCloud = CLOUDS[resolveCloudName(auth.cloud) || 'public'];
+    sharedCredential = createCredential(auth, sharedCloud);
+}
+
+/**
+ * Get the shared credential, falling back to DefaultAzureCredential when configureAuth was not called
+ * @returns {import('@azure/core-auth').TokenCredential} Credential
+ */
+export function getCredential() {
+    sharedCredential ??= createCredential({ authType: 'default' }, sharedCloud);
+    return sharedCredential;
+}
+
+/**
+ * Get the endpoints of the configured cloud
+ * @returns {object} Cloud endpoints from CLOUDS
+ */
+export function getCloud() {
+    return sharedCloud;
+}
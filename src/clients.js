@@ -0,0 +1,58 @@
+/**
+ * Construction of the Azure and artifact clients. Tests swap the factory for an in-memory fake.
+ */
+import { ContainerAppsAPIClient } from '@azure/arm-appcontainers';
+import { LogsQueryClient } from '@azure/monitor-query-logs';
+import { DefaultArtifactClient } from '@actions/artifact';
+import { getCredential, getCloud } from './auth.js';
+
+/**
+ * Factory of the real clients
+ */
+const DEFAULT_FACTORY = {
+    containerApps: (credential, subscriptionId, cloud) => new ContainerAppsAPIClient(credential, subscriptionId, {
+        endpoint: cloud.resourceManager,
+        $host: cloud.resourceManager
+    }),
+    logsQuery: (credential, cloud) => new LogsQueryClient(credential, {
+        endpoint: `${cloud.logAnalytics}/v1`,
+        credentials: { scopes: [`${cloud.logAnalytics}/.default`] }
+    }),
+    artifact: () => new DefaultArtifactClient()
+};
+
+let factory = DEFAULT_FACTORY;
+
+/**
+ * Replace some or all of the client constructors, e.g. with fakes in tests
+ * @param {object} [overrides] - containerApps, logsQuery and artifact constructors; omit to restore the real clients
+ * @returns {void}
+ */
+export function setClientFactory(overrides) {
+    factory = { ...DEFAULT_FACTORY, ...overrides };
+}
+
+/**
+ * Create a Container Apps client for the configured cloud
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {ContainerAppsAPIClient} Container Apps API client
+ */
+export function createContainerAppsClient(subscriptionId) {
+    return factory.containerApps(getCredential(), subscriptionId, getCloud());
+}
+
+/**
+ * Create a Log Analytics query client for the configured cloud
+ * @returns {LogsQueryClient} Log Analytics query client
+ */
+export function createLogsQueryClient() {
+    return factory.logsQuery(getCredential(), getCloud());
+}
+
+/**
+ * Create a client for uploading workflow artifacts
+ * @returns {DefaultArtifactClient} Artifact client
+ */
+export function createArtifactClient() {
+    return factory.artifact();
+}
@@ -2,6 +2,528 @@
  * Azure Container App Job configuration builder
  */
 import * as core from '@actions/core';
+import { parseCommand, deepMerge, diffValues, normalizeAzureLocation } from './utils.js';
+
+/**
+ * Name of the container built from the action inputs; its state decides the job outcome
+ */
+export const MAIN_CONTAINER_NAME = 'main';
+
+/**
+ * Convert a secret key into an Azure secret name
+ * @param {string} key - Secret key as given in the inputs
+ * @returns {string} Secret name (Azure requires lowercase with hyphens)
+ */
+export function toSecretName(key) {
+    return key.toLowerCase().replaceAll('_', '-');
+}
+
+/**
+ * Matches Key Vault secret URLs in the public and sovereign clouds
+ */
+const KEY_VAULT_URL = /^https:\/\/[^/]+\.vault\.(azure\.net|azure\.cn|usgovcloudapi\.net)\//i;
+
+/**
+ * Check whether a secret value is a Key Vault secret URL
+ * @param {string} value - Secret value from the inputs
+ * @returns {boolean} True for Key Vault URLs
+ */
+export function isKeyVaultUrl(value) {
+    return KEY_VAULT_URL.test(value);
+}
+
+/**
+ * Build the job secrets from the secrets input. A string value is a Key Vault URL when it
+ * looks like one and an inline value otherwise; an object picks explicitly with either
+ * `value` or `keyVaultUrl` and may set the `identity` used to read the Key Vault secret.
+ * @param {object} secrets - Parsed secrets input keyed by environment variable name
+ * @param {string} [defaultIdentity] - Identity for Key Vault secrets without their own
+ * @returns {types.Secret[]} Job secrets, with the input key kept as envName
+ */
+export function buildSecrets(secrets, defaultIdentity) {
+    const errors = [];
+    const result = [];
+
+    for (const [key, spec] of Object.entries(secrets || {})) {
+        if (!spec) {
+            continue;
+        }
+
+        const { value, keyVaultUrl, identity } = typeof spec === 'string'
+            ? (isKeyVaultUrl(spec) ? { keyVaultUrl: spec } : { value: spec })
+            : spec;
+        const secret = { name: toSecretName(key), envName: key };
+
+        if ((value === undefined) === (keyVaultUrl === undefined)) {
+            errors.push(`secret '${key}' must have either a value or a keyVaultUrl`);
+        } else if (value !== undefined) {
+            secret.value = String(value);
+        } else {
+            secret.keyVaultUrl = keyVaultUrl;
+            secret.identity = identity || defaultIdentity;
+            if (!secret.identity) {
+                errors.push(`secret '${key}' references Key Vault but no identity was given. Set user-managed-identity, secrets-identity or the secret's identity ("system" for the system-assigned identity)`);
+            }
+        }
+
+        result.push(secret);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid secrets:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return result;
+}
+
+/**
+ * Copy a job configuration with inline secret values replaced, for printing and artifacts
+ * @param {types.Job} jobConfig - Job configuration
+ * @returns {types.Job} Redacted copy
+ */
+export function redactJobConfig(jobConfig) {
+    const redacted = structuredClone(jobConfig);
+
+    for (const secret of redacted?.configuration?.secrets || []) {
+        if (secret.value !== undefined) {
+            secret.value = '***';
+        }
+    }
+
+    return redacted;
+}
+
+/**
+ * Validate and normalize the scale settings of an event-triggered job
+ * @param {object} eventTrigger - Event trigger settings
+ * @param {string[]} secretNames - Names of the secrets defined on the job
+ * @returns {types.JobScale} Normalized scale configuration
+ */
+export function buildEventScale(eventTrigger, secretNames) {
+    const { pollingInterval = 30, minExecutions = 0, maxExecutions = 10, rules } = eventTrigger;
+    const errors = [];
+
+    if (minExecutions > maxExecutions) {
+        errors.push(`min-executions (${minExecutions}) cannot be greater than max-executions (${maxExecutions})`);
+    }
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+        errors.push('scale-rules must be a non-empty JSON array');
+    }
+
+    const ruleNames = new Set();
+    const scaleRules = [];
+    for (const [index, rule] of (Array.isArray(rules) ? rules : []).entries()) {
+        const label = rule?.name ? `scale rule '${rule.name}'` : `scale rule #${index + 1}`;
+
+        if (!rule?.name || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(rule.name)) {
+            errors.push(`${label} must have a name of lowercase letters, numbers and hyphens`);
+        } else if (ruleNames.has(rule.name)) {
+            errors.push(`${label} is defined more than once`);
+        }
+        ruleNames.add(rule?.name);
+
+        if (!rule?.type) {
+            errors.push(`${label} must have a type (e.g. azure-servicebus, azure-queue)`);
+        }
+
+        const metadata = {};
+        for (const [key, value] of Object.entries(rule?.metadata || {})) {
+            if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+                errors.push(`${label} metadata '${key}' must be a string`);
+            }
+            metadata[key] = String(value);
+        }
+
+        const auth = [];
+        for (const entry of rule?.auth || []) {
+            if (!entry?.secretRef || !entry?.triggerParameter) {
+                errors.push(`${label} auth entries need both secretRef and triggerParameter`);
+                continue;
+            }
+            const secretRef = toSecretName(entry.secretRef);
+            if (!secretNames.includes(secretRef)) {
+                errors.push(`${label} auth references unknown secret '${entry.secretRef}'`);
+            }
+            auth.push({ secretRef, triggerParameter: entry.triggerParameter });
+        }
+
+        const scaleRule = { name: rule?.name, type: rule?.type, metadata, auth };
+        if (rule?.identity) {
+            scaleRule.identity = rule.identity;
+        }
+        scaleRules.push(scaleRule);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid event trigger configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { pollingInterval, minExecutions, maxExecutions, rules: scaleRules };
+}
+
+/**
+ * Convert a command or args value (string or array) into an array
+ * @param {string|string[]} value - Command or args value
+ * @returns {string[]|undefined} Array form of the value
+ */
+function toArgumentList(value) {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    return typeof value === 'string' ? parseCommand(value) : undefined;
+}
+
+/**
+ * Validate and normalize the sidecar and init containers of a job
+ * @param {object} extraContainers - Parsed extra-containers input ({containers, initContainers})
+ * @returns {{containers: types.Container[], initContainers: types.InitContainer[]}} Normalized containers
+ */
+export function buildExtraContainers(extraContainers) {
+    const errors = [];
+    const names = new Set([MAIN_CONTAINER_NAME]);
+    const result = { containers: [], initContainers: [] };
+
+    for (const key of Object.keys(extraContainers || {})) {
+        if (!(key in result)) {
+            errors.push(`unknown key '${key}', expected 'containers' or 'initContainers'`);
+        }
+    }
+
+    for (const kind of Object.keys(result)) {
+        const specs = extraContainers?.[kind] || [];
+        if (!Array.isArray(specs)) {
+            errors.push(`${kind} must be a list`);
+            continue;
+        }
+
+        for (const [index, spec] of specs.entries()) {
+            const label = spec?.name ? `${kind} '${spec.name}'` : `${kind} #${index + 1}`;
+
+            if (!spec?.name || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(spec.name)) {
+                errors.push(`${label} must have a name of lowercase letters, numbers and hyphens`);
+            } else if (names.has(spec.name)) {
+                errors.push(`${label} uses a name that is already taken`);
+            }
+            names.add(spec?.name);
+
+            if (!spec?.image) {
+                errors.push(`${label} must have an image`);
+            }
+
+            const container = { name: spec?.name, image: spec?.image };
+
+            const command = toArgumentList(spec?.command);
+            if (command) {
+                container.command = command;
+            }
+            const args = toArgumentList(spec?.args);
+            if (args) {
+                container.args = args;
+            }
+
+            if (Array.isArray(spec?.env)) {
+                container.env = spec.env;
+            } else if (spec?.env) {
+                container.env = Object.entries(spec.env).map(([name, value]) => ({ name, value: String(value) }));
+            }
+
+            if (spec?.resources) {
+                container.resources = {
+                    cpu: Number.parseFloat(spec.resources.cpu),
+                    memory: spec.resources.memory
+                };
+                if (Number.isNaN(container.resources.cpu) || !container.resources.memory) {
+                    errors.push(`${label} resources need both cpu and memory`);
+                }
+            }
+
+            result[kind].push(container);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid extra-containers:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return result;
+}
+
+/**
+ * Storage types accepted for job volumes
+ */
+const VOLUME_STORAGE_TYPES = ['AzureFile', 'NfsAzureFile', 'EmptyDir', 'Secret'];
+
+/**
+ * Validate and normalize job volumes and the main container's volume mounts
+ * @param {object[]} volumeSpecs - Parsed volumes input
+ * @param {object[]} mountSpecs - Parsed volume-mounts input
+ * @param {string[]} secretNames - Names of the secrets defined on the job
+ * @param {string[]} [definedVolumeNames] - Volumes already declared in the job definition file
+ * @returns {{volumes: types.Volume[], volumeMounts: types.VolumeMount[]}} Normalized volumes and mounts
+ */
+export function buildVolumes(volumeSpecs, mountSpecs, secretNames, definedVolumeNames = []) {
+    const errors = [];
+    const result = { volumes: [], volumeMounts: [] };
+    const names = new Set();
+    const knownNames = new Set(definedVolumeNames);
+
+    // Empty structured inputs parse to {}
+    const volumeList = toList(volumeSpecs, 'volumes', errors);
+    const mountList = toList(mountSpecs, 'volume-mounts', errors);
+
+    for (const [index, spec] of volumeList.entries()) {
+        const label = spec?.name ? `volume '${spec.name}'` : `volume #${index + 1}`;
+
+        if (!spec?.name || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(spec.name)) {
+            errors.push(`${label} must have a name of lowercase letters, numbers and hyphens`);
+        } else if (names.has(spec.name)) {
+            errors.push(`${label} is defined more than once`);
+        }
+        names.add(spec?.name);
+
+        const storageType = VOLUME_STORAGE_TYPES.find(type => type.toLowerCase() === String(spec?.storageType || '').toLowerCase());
+        if (!storageType) {
+            errors.push(`${label} must have a storageType of ${VOLUME_STORAGE_TYPES.join(', ')}`);
+        }
+
+        const volume = { name: spec?.name, storageType };
+
+        if (storageType === 'AzureFile' || storageType === 'NfsAzureFile') {
+            if (!spec.storageName) {
+                errors.push(`${label} must reference an environment storage with storageName`);
+            }
+            volume.storageName = spec.storageName;
+            if (spec.mountOptions) {
+                volume.mountOptions = spec.mountOptions;
+            }
+        } else if (spec?.storageName) {
+            errors.push(`${label} storageName only applies to AzureFile volumes`);
+        }
+
+        if (storageType === 'Secret' && spec.secrets) {
+            volume.secrets = [];
+            for (const item of spec.secrets) {
+                const secretRef = toSecretName(item?.secretRef || '');
+                if (!secretNames.includes(secretRef)) {
+                    errors.push(`${label} references unknown secret '${item?.secretRef}'`);
+                }
+                volume.secrets.push(item?.path ? { secretRef, path: item.path } : { secretRef });
+            }
+        }
+
+        result.volumes.push(volume);
+    }
+
+    const mountPaths = new Set();
+    const usedVolumes = new Set();
+    for (const mount of mountList) {
+        if (!mount?.volumeName || !(names.has(mount.volumeName) || knownNames.has(mount.volumeName))) {
+            errors.push(`volume mount at '${mount?.mountPath}' references undeclared volume '${mount?.volumeName}'`);
+        }
+        if (!mount?.mountPath?.startsWith('/')) {
+            errors.push(`volume mount for '${mount?.volumeName}' must have an absolute mountPath`);
+        } else if (mountPaths.has(mount.mountPath)) {
+            errors.push(`mountPath '${mount.mountPath}' is used more than once`);
+        }
+        mountPaths.add(mount?.mountPath);
+        usedVolumes.add(mount?.volumeName);
+
+        const volumeMount = { volumeName: mount?.volumeName, mountPath: mount?.mountPath };
+        if (mount?.subPath) {
+            volumeMount.subPath = mount.subPath;
+        }
+        result.volumeMounts.push(volumeMount);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid volume configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const volume of result.volumes) {
+        if (!usedVolumes.has(volume.name)) {
+            core.warning(`Volume '${volume.name}' is declared but not mounted into the main container`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Probe types of Container Apps
+ */
+const PROBE_TYPES = ['Liveness', 'Readiness', 'Startup'];
+
+/**
+ * Accepted range of every probe timing setting
+ */
+const PROBE_LIMITS = {
+    initialDelaySeconds: [0, 60],
+    periodSeconds: [1, 240],
+    timeoutSeconds: [1, 240],
+    failureThreshold: [1, 10],
+    successThreshold: [1, 10],
+    terminationGracePeriodSeconds: [1, 3600]
+};
+
+/**
+ * Container settings Azure does not accept, and what to do instead
+ */
+const UNSUPPORTED_CONTAINER_OPTIONS = {
+    workingDir: 'Container Apps has no working directory setting. Set WORKDIR in the image, or change directory in command.',
+    workingDirectory: 'Container Apps has no working directory setting. Set WORKDIR in the image, or change directory in command.',
+    ephemeralStorage: 'Ephemeral storage is assigned by Azure from the cpu input, e.g. 0.5 CPU gets 2Gi.'
+};
+
+/**
+ * Validate and normalize a single health probe of the main container
+ * @param {object} spec - Probe from the container-options input
+ * @param {string} label - Probe label for error messages
+ * @param {string[]} errors - Collected errors
+ * @returns {types.ContainerAppProbe} Normalized probe
+ */
+function buildProbe(spec, label, errors) {
+    const type = PROBE_TYPES.find(name => name.toLowerCase() === String(spec?.type || '').toLowerCase());
+    if (!type) {
+        errors.push(`${label} must have a type of ${PROBE_TYPES.map(name => name.toLowerCase()).join(', ')}`);
+    }
+
+    const probe = { type };
+    const checkPort = (port, kind) => {
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            errors.push(`${label} ${kind} must have a port between 1 and 65535`);
+        }
+    };
+
+    if (spec?.exec) {
+        errors.push(`${label} cannot use exec. Container Apps only supports httpGet and tcpSocket probes.`);
+    } else if (!spec?.httpGet === !spec?.tcpSocket) {
+        errors.push(`${label} must have exactly one of httpGet or tcpSocket`);
+    } else if (spec.httpGet) {
+        const { path = '/', port, host, scheme, httpHeaders } = spec.httpGet;
+        checkPort(port, 'httpGet');
+        if (!String(path).startsWith('/')) {
+            errors.push(`${label} httpGet path must start with '/'`);
+        }
+        probe.httpGet = { path: String(path), port };
+        if (host) {
+            probe.httpGet.host = host;
+        }
+        if (scheme) {
+            probe.httpGet.scheme = String(scheme).toUpperCase();
+            if (!['HTTP', 'HTTPS'].includes(probe.httpGet.scheme)) {
+                errors.push(`${label} httpGet scheme must be HTTP or HTTPS`);
+            }
+        }
+        if (httpHeaders) {
+            if (!Array.isArray(httpHeaders) || !httpHeaders.every(header => header?.name && header.value !== undefined)) {
+                errors.push(`${label} httpGet httpHeaders must be a list of name and value pairs`);
+            } else {
+                probe.httpGet.httpHeaders = httpHeaders.map(({ name, value }) => ({ name, value: String(value) }));
+            }
+        }
+    } else {
+        const { port, host } = spec.tcpSocket;
+        checkPort(port, 'tcpSocket');
+        probe.tcpSocket = host ? { host, port } : { port };
+    }
+
+    for (const [setting, [minimum, maximum]] of Object.entries(PROBE_LIMITS)) {
+        const value = spec?.[setting];
+        if (value === undefined) {
+            continue;
+        }
+        if (!Number.isInteger(value) || value < minimum || value > maximum) {
+            errors.push(`${label} ${setting} must be an integer from ${minimum} to ${maximum}`);
+        }
+        probe[setting] = value;
+    }
+
+    // Only readiness probes may require more than one success
+    if (type && type !== 'Readiness' && probe.successThreshold > 1) {
+        errors.push(`${label} successThreshold must be 1 for ${type.toLowerCase()} probes`);
+    }
+
+    const unknown = Object.keys(spec || {}).filter(key => !['type', 'httpGet', 'tcpSocket', 'exec', ...Object.keys(PROBE_LIMITS)].includes(key));
+    if (unknown.length > 0) {
+        errors.push(`${label} has unknown settings: ${unknown.join(', ')}`);
+    }
+
+    return probe;
+}
+
+/**
+ * Validate and normalize the container-options input, the settings merged into the main container
+ * @param {object} [options] - Parsed container-options input
+ * @returns {{probes?: types.ContainerAppProbe[]}} Normalized container options
+ */
+export function buildContainerOptions(options) {
+    const errors = [];
+    const result = {};
+
+    if (options === undefined || options === null) {
+        return result;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Invalid container options:\n  - container-options must be an object');
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+        if (key === 'probes') {
+            continue;
+        }
+        errors.push(UNSUPPORTED_CONTAINER_OPTIONS[key]
+            ? `${key} is not supported. ${UNSUPPORTED_CONTAINER_OPTIONS[key]}`
+            : `unknown option '${key}'. Supported is probes.`);
+    }
+
+    if (options.probes !== undefined) {
+        const probes = toList(options.probes, 'probes', errors);
+        result.probes = probes.map((spec, index) => buildProbe(spec, `probe #${index + 1}`, errors));
+
+        const types = result.probes.map(probe => probe.type).filter(Boolean);
+        for (const type of new Set(types)) {
+            if (types.filter(other => other === type).length > 1) {
+                errors.push(`only one ${type.toLowerCase()} probe is allowed`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid container options:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return result;
+}
+
+/**
+ * Describe a probe for the configuration banner, e.g. "liveness GET /healthz on port 8080"
+ * @param {types.ContainerAppProbe} probe - Normalized probe
+ * @returns {string} Description
+ */
+export function describeProbe(probe) {
+    const check = probe.httpGet
+        ? `${probe.httpGet.scheme === 'HTTPS' ? 'HTTPS ' : ''}GET ${probe.httpGet.path} on port ${probe.httpGet.port}`
+        : `TCP port ${probe.tcpSocket.port}`;
+    return `${probe.type.toLowerCase()} ${check}${probe.periodSeconds ? ` every ${probe.periodSeconds}s` : ''}`;
+}
+
+/**
+ * Convert a parsed list input into an array
+ * @param {object[]|object} value - Parsed input value
+ * @param {string} inputName - Input name used in error messages
+ * @param {string[]} errors - Collected validation errors
+ * @returns {object[]} List value
+ */
+function toList(value, inputName, errors) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value && Object.keys(value).length > 0) {
+        errors.push(`${inputName} must be a list`);
+    }
+    return [];
+}
 
 /**
  * Build Azure Container App Job configuration object
@@ -16,17 +538,34 @@ export function buildJobConfig(subscriptionId, resourceGroup, environmentName, l
     const { 
         image, 
         command, 
+        args,
         userManagedIdentity, 
         environmentVariables, 
         secrets, 
+        secretsIdentity,
         cpu, 
         memory, 
         registryServer, 
         registryUsername, 
         registryPassword,
         registryIdentity,
-        cronSchedule 
+        cronSchedule,
+        triggerType = cronSchedule ? 'schedule' : undefined,
+        eventTrigger,
+        extraContainers,
+        volumes: volumeSpecs,
+        volumeMounts: mountSpecs,
+        containerOptions,
+        parallelism,
+        replicaCompletionCount = parallelism,
+        replicaTimeout,
+        replicaRetryLimit,
+        tags,
+        jobDefinition
     } = config;
+
+    // Explicit inputs are merged over the job definition file, so start from a copy of it
+    const definition = normalizeJobDefinition(jobDefinition);
     
     // Build environment variables array
     const envVars = [];
@@ -39,39 +578,68 @@ export function buildJobConfig(subscriptionId, resourceGroup, environmentName, l
     
     // Build secrets array
     const secretsArray = [];
-    for (const [key, value] of Object.entries(secrets)) {
-        const secretName = key.toLowerCase().replaceAll('_', '-'); // Azure requires lowercase with hyphens
+    for (const { envName, ...secret } of buildSecrets(secrets, secretsIdentity || userManagedIdentity)) {
+        secretsArray.push(secret);
 
-        if (value) {
-            secretsArray.push({
-                name: secretName,
-                keyVaultUrl: value,
-                identity: userManagedIdentity
-            });
-
-            // Also add as secret reference in env vars
-            envVars.push({
-                name: key,
-                secretRef: secretName
-            });
-        }
+        // Also add as secret reference in env vars
+        envVars.push({
+            name: envName,
+            secretRef: secret.name
+        });
     }
+
+    // Secrets from the definition file can be referenced as well
+    const secretNames = [
+        ...secretsArray.map(secret => secret.name),
+        ...(definition.configuration?.secrets || []).map(secret => secret.name)
+    ];
     
     // Build container configuration
     const container = {
-        name: 'main',
-        image: image,
-        resources: {
-            cpu: Number.parseFloat(cpu),
-            memory: memory
-        },
+        name: MAIN_CONTAINER_NAME,
+        image: image || undefined,
         env: envVars.length > 0 ? envVars : []
     };
+
+    if (cpu || memory) {
+        container.resources = {};
+        if (cpu) {
+            container.resources.cpu = Number.parseFloat(cpu);
+        }
+        if (memory) {
+            container.resources.memory = memory;
+        }
+    }
     
     if (command) {
         container.command = command;
     }
+
+    // Args are passed to the image entrypoint, or to command when one is given
+    if (args) {
+        container.args = args;
+    }
     
+    // Sidecars run next to the main container, init containers run to completion before it
+    const { containers: sidecars, initContainers } = buildExtraContainers(extraContainers);
+
+    // Build volumes and mount them into the main container
+    const { volumes, volumeMounts } = buildVolumes(
+        volumeSpecs,
+        mountSpecs,
+        secretNames,
+        (definition.template?.volumes || []).map(volume => volume.name)
+    );
+    if (volumeMounts.length > 0) {
+        container.volumeMounts = volumeMounts;
+    }
+
+    // Health probes and other container-options settings of the main container
+    const { probes } = buildContainerOptions(containerOptions);
+    if (probes) {
+        container.probes = probes;
+    }
+
     // Build registries configuration
     const registries = [];
     if (registryServer && registryIdentity) {
@@ -102,49 +670,350 @@ export function buildJobConfig(subscriptionId, resourceGroup, environmentName, l
      * @type {JobConfiguration}
      */
     let configuration = {
-        replicaTimeout: 1800,
-        replicaRetryLimit: 0,
+        replicaTimeout,
+        replicaRetryLimit,
         secrets: secretsArray.length > 0 ? secretsArray : [],
         registries: registries.length > 0 ? registries : []
     }
 
-    if (cronSchedule) {
-        configuration.triggerType = 'Schedule';
-        configuration.scheduleTriggerConfig = {
-            cronExpression: cronSchedule,
-            parallelism: 1,
-            replicaCompletionCount: 1
-        };
-    } else {
-        configuration.triggerType = 'Manual';
-        configuration.manualTriggerConfig = {
-            replicaCompletionCount: 1,
-            parallelism: 1
-        };
-    }
+    warnOnOverride(definition.configuration?.replicaTimeout, replicaTimeout, 'timeout', 'replicaTimeout');
+    warnOnOverride(definition.configuration?.replicaRetryLimit, replicaRetryLimit, 'replica-retry-limit', 'replicaRetryLimit');
     
     // Build job configuration
     /**
      * @type {Job}
      */
-    const job = {
+    const inputJob = {
         configuration,
         environmentId: `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.App/managedEnvironments/${environmentName}`,
         location: location,
         template: {
-            containers: [container],
+            containers: [container, ...sidecars],
         },
     };
 
-    // Add user-managed identity if provided
-    if (userManagedIdentity) {
-        job.identity = {
-            type: 'UserAssigned',
-            userAssignedIdentities: {
-                [userManagedIdentity]: {}
-            }
+    if (initContainers.length > 0) {
+        inputJob.template.initContainers = initContainers;
+    }
+
+    if (volumes.length > 0) {
+        inputJob.template.volumes = volumes;
+    }
+
+    // Azure only accepts string tag values
+    if (tags && Object.keys(tags).length > 0) {
+        inputJob.tags = Object.fromEntries(Object.entries(tags).map(([name, value]) => [name, String(value)]));
+    }
+
+    // Assign the user-managed identity and any other identity the secrets and registries use
+    const identities = [userManagedIdentity, registryServer && registryIdentity, ...secretsArray.map(secret => secret.identity)]
+        .filter(Boolean);
+    const userAssigned = [...new Set(identities.filter(identity => identity !== 'system'))];
+    const systemAssigned = identities.includes('system');
+
+    if (userAssigned.length > 0 || systemAssigned) {
+        inputJob.identity = {
+            type: [systemAssigned && 'SystemAssigned', userAssigned.length > 0 && 'UserAssigned'].filter(Boolean).join(','),
         };
+        if (userAssigned.length > 0) {
+            inputJob.identity.userAssignedIdentities = Object.fromEntries(userAssigned.map(identity => [identity, {}]));
+        }
     }
 
+    /**
+     * @type {Job}
+     */
+    const job = deepMerge(definition, inputJob);
+
+    applyTriggerConfig(job.configuration, {
+        triggerType,
+        cronSchedule,
+        eventTrigger,
+        parallelism,
+        replicaCompletionCount,
+        secretNames
+    });
+
+    job.configuration.replicaTimeout ??= 1800;
+    job.configuration.replicaRetryLimit ??= 0;
+
+    const mainContainer = job.template.containers.find(c => c.name === MAIN_CONTAINER_NAME);
+    if (!mainContainer.image) {
+        throw new Error('No image given. Set the image input or define it in the job-definition-file.');
+    }
+    mainContainer.resources = { cpu: 0.5, memory: '1Gi', ...mainContainer.resources };
+
     return job;
 }
+
+/**
+ * Build a one-off execution template that overrides the main container of an existing job.
+ * Azure runs an execution with only the containers in its template, so every container of the
+ * job is copied and the overrides are applied to the main one.
+ * @param {types.Job['template']} jobTemplate - Template of the existing job
+ * @param {object} overrides - Image, command, args, environmentVariables, cpu and memory overrides
+ * @returns {object|undefined} Execution template, or undefined when nothing is overridden
+ */
+export function buildExecutionTemplate(jobTemplate, overrides) {
+    const { image, command, args, environmentVariables = {}, cpu, memory } = overrides;
+    if (!image && !command && !args && !cpu && !memory && Object.keys(environmentVariables).length === 0) {
+        return undefined;
+    }
+
+    const toExecutionContainer = ({ name, image, command, args, env, resources }) => ({ name, image, command, args, env, resources });
+    const containers = (jobTemplate?.containers || []).map(toExecutionContainer);
+    const mainContainer = containers.find(c => c.name === MAIN_CONTAINER_NAME) || containers[0];
+    if (!mainContainer) {
+        throw new Error('The existing job has no containers to override');
+    }
+
+    if (image) {
+        mainContainer.image = image;
+    }
+    if (command) {
+        mainContainer.command = command;
+    }
+    if (args) {
+        mainContainer.args = args;
+    }
+
+    // Overridden variables replace existing ones with the same name, secret references included
+    const env = (mainContainer.env || []).filter(variable => !(variable.name in environmentVariables));
+    for (const [name, value] of Object.entries(environmentVariables)) {
+        env.push({ name, value });
+    }
+    mainContainer.env = env;
+
+    if (cpu || memory) {
+        mainContainer.resources = { ...mainContainer.resources };
+        if (cpu) {
+            mainContainer.resources.cpu = Number.parseFloat(cpu);
+        }
+        if (memory) {
+            mainContainer.resources.memory = memory;
+        }
+    }
+
+    return {
+        containers,
+        initContainers: (jobTemplate?.initContainers || []).map(toExecutionContainer)
+    };
+}
+
+/**
+ * Build the execution template of every shard of a fan-out run. Shard overrides win over the
+ * shared overrides, and every shard gets SHARD_INDEX and SHARD_COUNT to pick its part of the work.
+ * @param {types.Job['template']} jobTemplate - Template of the job
+ * @param {object[]} shards - Shards with environmentVariables, command and args
+ * @param {object} [overrides] - Overrides shared by all shards, see buildExecutionTemplate
+ * @returns {object[]} Execution template of every shard
+ */
+export function buildShardTemplates(jobTemplate, shards, overrides = {}) {
+    return shards.map((shard, index) => buildExecutionTemplate(jobTemplate, {
+        ...overrides,
+        command: shard.command ?? overrides.command,
+        args: shard.args ?? overrides.args,
+        environmentVariables: {
+            ...overrides.environmentVariables,
+            SHARD_INDEX: String(index),
+            SHARD_COUNT: String(shards.length),
+            ...shard.environmentVariables
+        }
+    }));
+}
+
+/**
+ * Names of the tags that record the workflow run that created or last updated a job
+ */
+export const RUN_TAG_NAMES = [
+    'github-repository',
+    'github-workflow',
+    'github-run-id',
+    'github-run-attempt',
+    'github-sha',
+    'github-created-at',
+    'github-ephemeral'
+];
+
+/**
+ * Build the tags that record the workflow run in the job
+ * @param {boolean} ephemeral - Whether the action deletes the job when it finishes, so an orphan can be cleaned up
+ * @param {object} [env] - Environment with the GitHub default variables
+ * @param {Date} [now] - Creation time
+ * @returns {Object<string, string>} Run tags
+ */
+export function getRunTags(ephemeral, env = process.env, now = new Date()) {
+    const tags = {
+        'github-repository': env.GITHUB_REPOSITORY,
+        'github-workflow': env.GITHUB_WORKFLOW,
+        'github-run-id': env.GITHUB_RUN_ID,
+        'github-run-attempt': env.GITHUB_RUN_ATTEMPT,
+        'github-sha': env.GITHUB_SHA,
+        'github-created-at': now.toISOString(),
+        'github-ephemeral': String(ephemeral)
+    };
+
+    // Tag values are limited to 256 characters, which a long workflow name can exceed
+    return Object.fromEntries(Object.entries(tags)
+        .filter(([, value]) => value)
+        .map(([name, value]) => [name, value.slice(0, 256)]));
+}
+
+/**
+ * Check whether a job was created or last updated by the current workflow run
+ * @param {Object<string, string>} [tags] - Job tags
+ * @param {object} [env] - Environment with the GitHub default variables
+ * @returns {boolean} True when the run tags match this run, or the job has no run tags
+ */
+export function isRunOwner(tags, env = process.env) {
+    if (!tags?.['github-run-id']) {
+        return true;
+    }
+    return tags['github-run-id'] === env.GITHUB_RUN_ID
+        && (tags['github-run-attempt'] || '') === (env.GITHUB_RUN_ATTEMPT || '');
+}
+
+/**
+ * Compare an existing job with the one built from the inputs
+ * @param {types.Job} existing - Job returned by Azure
+ * @param {types.Job} desired - Job built by buildJobConfig
+ * @returns {{path: string, before: *, after: *}[]} Field-level changes
+ */
+export function diffJobConfig(existing, desired) {
+    const current = normalizeForDiff(existing);
+    const target = normalizeForDiff(desired);
+
+    // Azure never returns secret values, so an inline value cannot be compared and always counts as a change;
+    // keeping a digest of it on the job would let anyone who can read the job guess weak secrets offline
+    const secretChanges = [];
+    for (const secret of target.configuration?.secrets || []) {
+        if (secret.value !== undefined && secret.value !== null) {
+            secretChanges.push({ path: `configuration.secrets[${secret.name}].value`, before: '(not returned by Azure)', after: '(inline value)' });
+        }
+        delete secret.value;
+    }
+
+    // Run metadata changes on every workflow run and is not drift
+    for (const name of RUN_TAG_NAMES) {
+        delete target.tags?.[name];
+    }
+
+    return [...diffValues(current, target), ...secretChanges];
+}
+
+/**
+ * Copy a job and normalize the values Azure reformats (location and resource ID casing)
+ * @param {types.Job} job - Job to normalize
+ * @returns {types.Job} Normalized copy
+ */
+function normalizeForDiff(job) {
+    const lowerResourceIds = value => {
+        if (typeof value === 'string') {
+            return value.startsWith('/subscriptions/') ? value.toLowerCase() : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(lowerResourceIds);
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [lowerResourceIds(key), lowerResourceIds(item)]));
+        }
+        return value;
+    };
+
+    const copy = lowerResourceIds(JSON.parse(JSON.stringify(job)));
+    if (copy.location) {
+        copy.location = normalizeAzureLocation(copy.location);
+    }
+    return copy;
+}
+
+/**
+ * Seconds added to the polling deadline for scheduling and image pulls
+ */
+const POLLING_GRACE_PERIOD = 60;
+
+/**
+ * Calculate how long to poll an execution before giving up. Replicas run in waves of
+ * `parallelism` until `replicaCompletionCount` have completed, and every replica may be
+ * retried `replicaRetryLimit` times, each attempt bounded by `replicaTimeout`.
+ * @param {JobConfiguration} configuration - Job configuration
+ * @returns {number} Polling timeout in seconds
+ */
+export function getPollingTimeout(configuration) {
+    const trigger = configuration.manualTriggerConfig || configuration.scheduleTriggerConfig || configuration.eventTriggerConfig || {};
+    const parallelism = trigger.parallelism || 1;
+    const waves = Math.ceil((trigger.replicaCompletionCount || parallelism) / parallelism);
+    const attempts = (configuration.replicaRetryLimit || 0) + 1;
+
+    return configuration.replicaTimeout * attempts * waves + POLLING_GRACE_PERIOD;
+}
+
+/**
+ * Warn when an explicit input replaces a different value from the job definition file
+ * @param {*} definitionValue - Value from the job definition file
+ * @param {*} inputValue - Value from the action inputs
+ * @param {string} inputName - Input name
+ * @param {string} fieldName - Job definition field name
+ * @returns {void}
+ */
+function warnOnOverride(definitionValue, inputValue, inputName, fieldName) {
+    if (definitionValue !== undefined && inputValue !== undefined && definitionValue !== inputValue) {
+        core.warning(`The ${inputName} input (${inputValue}) overrides ${fieldName} (${definitionValue}) from the job-definition-file`);
+    }
+}
+
+/**
+ * Copy a job definition and make sure its main container is named like the one built from inputs
+ * @param {types.Job} [jobDefinition] - Parsed job definition file
+ * @returns {types.Job} Job definition copy
+ */
+function normalizeJobDefinition(jobDefinition) {
+    const definition = structuredClone(jobDefinition || {});
+    const containers = definition.template?.containers;
+
+    if (containers?.length > 0 && !containers.some(c => c.name === MAIN_CONTAINER_NAME)) {
+        core.info(`Using container '${containers[0].name}' from the job definition as the main container`);
+        containers[0].name = MAIN_CONTAINER_NAME;
+    }
+
+    return definition;
+}
+
+/**
+ * Set the trigger type and its trigger configuration on a merged job configuration
+ * @param {JobConfiguration} configuration - Merged job configuration
+ * @param {object} trigger - Trigger settings from the inputs
+ * @returns {void}
+ */
+function applyTriggerConfig(configuration, trigger) {
+    const { triggerType, cronSchedule, eventTrigger, parallelism, replicaCompletionCount, secretNames } = trigger;
+
+    const type = triggerType || configuration.triggerType?.toLowerCase() || 'manual';
+    const triggerKey = `${type}TriggerConfig`;
+    configuration.triggerType = { manual: 'Manual', schedule: 'Schedule', event: 'Event' }[type];
+    if (!configuration.triggerType) {
+        throw new Error(`Invalid trigger type: ${type}. Must be one of 'Manual', 'Schedule', or 'Event'.`);
+    }
+
+    // Only the trigger configuration matching the trigger type is sent
+    for (const key of ['manualTriggerConfig', 'scheduleTriggerConfig', 'eventTriggerConfig']) {
+        if (key !== triggerKey) {
+            delete configuration[key];
+        }
+    }
+
+    const triggerConfig = configuration[triggerKey] ||= {};
+    triggerConfig.parallelism = parallelism ?? triggerConfig.parallelism ?? 1;
+    triggerConfig.replicaCompletionCount = replicaCompletionCount ?? triggerConfig.replicaCompletionCount ?? triggerConfig.parallelism;
+
+    if (type === 'schedule') {
+        triggerConfig.cronExpression = cronSchedule || triggerConfig.cronExpression;
+        if (!triggerConfig.cronExpression) {
+            throw new Error('trigger-type schedule requires a cron-schedule');
+        }
+    }
+
+    if (type === 'event' && (eventTrigger?.rules?.length > 0 || !triggerConfig.scale)) {
+        triggerConfig.scale = buildEventScale(eventTrigger || {}, secretNames);
+    }
+}
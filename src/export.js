@@ -0,0 +1,296 @@
+/**
+ * Export of a job as infrastructure as code: a Bicep module, an ARM template or an az CLI script
+ */
+import * as core from '@actions/core';
+import * as path from 'node:path';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { RUN_TAG_NAMES } from './config.js';
+import { uploadJobExport } from './utils.js';
+
+/**
+ * Supported export formats and their file extensions
+ */
+export const EXPORT_FORMATS = {
+    bicep: '.bicep',
+    arm: '.json',
+    'az-cli': '.sh'
+};
+
+/**
+ * API version of the exported resources, the one the Container Apps client of the action uses
+ */
+const API_VERSION = '2025-07-01';
+
+/**
+ * Job fields that stay at the top of the ARM resource; the others go under properties
+ */
+const TOP_LEVEL_FIELDS = new Set(['location', 'tags', 'identity', 'extendedLocation']);
+
+/**
+ * Key of a placeholder that every format renders as its own expression, e.g. a parameter
+ */
+const REFERENCE = Symbol('reference');
+
+/**
+ * Create a placeholder for an expression
+ * @param {string} name - Parameter name, or 'location' for the location of the environment
+ * @returns {object} Placeholder
+ */
+function reference(name) {
+    return { [REFERENCE]: name };
+}
+
+/**
+ * Get the parameter name of a secret, e.g. "api-key" becomes "secretApiKey"
+ * @param {string} secretName - Secret name
+ * @returns {string} Parameter name
+ */
+export function toParameterName(secretName) {
+    const words = secretName.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    return `secret${words.map(word => word[0].toUpperCase() + word.slice(1)).join('')}`;
+}
+
+/**
+ * Convert a job from buildJobConfig to an ARM resource. Inline secret values become parameters,
+ * the location becomes the location of the environment and the tags of the workflow run are dropped.
+ * @param {string} jobName - Job name
+ * @param {types.Job} job - Job configuration
+ * @returns {{resource: object, secrets: {name: string, parameter: string}[], environmentName: string}} ARM resource and its secret parameters
+ */
+export function toExportResource(jobName, job) {
+    const copy = structuredClone(job);
+
+    const secrets = [];
+    for (const secret of copy.configuration?.secrets || []) {
+        if (secret.value === undefined || secret.value === null) {
+            continue;
+        }
+
+        let parameter = toParameterName(secret.name);
+        for (let suffix = 2; secrets.some(existing => existing.parameter === parameter); suffix++) {
+            parameter = `${toParameterName(secret.name)}${suffix}`;
+        }
+        secrets.push({ name: secret.name, parameter });
+        secret.value = reference(parameter);
+    }
+
+    const tags = Object.fromEntries(Object.entries(copy.tags || {}).filter(([name]) => !RUN_TAG_NAMES.includes(name)));
+    const resource = {
+        type: 'Microsoft.App/jobs',
+        apiVersion: API_VERSION,
+        name: jobName,
+        location: reference('location'),
+        tags: Object.keys(tags).length > 0 ? tags : undefined,
+        identity: copy.identity,
+        extendedLocation: copy.extendedLocation,
+        properties: Object.fromEntries(Object.entries(copy).filter(([field]) => !TOP_LEVEL_FIELDS.has(field)))
+    };
+
+    return { resource, secrets, environmentName: copy.environmentId.split('/').pop() };
+}
+
+/**
+ * Render a value as an indented object literal
+ * @param {*} value - Value to render
+ * @param {object} syntax - How to render keys and strings, the separator between entries, and references
+ * @param {string} [indent] - Indentation of the value
+ * @returns {string} Rendered value
+ */
+function renderValue(value, syntax, indent = '') {
+    const inner = `${indent}  `;
+
+    if (value?.[REFERENCE]) {
+        return syntax.reference(value[REFERENCE]);
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.filter(item => item !== undefined);
+        if (items.length === 0) {
+            return '[]';
+        }
+        return `[\n${items.map(item => inner + renderValue(item, syntax, inner)).join(`${syntax.separator}\n`)}\n${indent}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+        if (entries.length === 0) {
+            return '{}';
+        }
+        const lines = entries.map(([key, entry]) => `${inner}${syntax.key(key)}: ${renderValue(entry, syntax, inner)}`);
+        return `{\n${lines.join(`${syntax.separator}\n`)}\n${indent}}`;
+    }
+
+    return typeof value === 'string' ? syntax.string(value) : String(value);
+}
+
+/**
+ * Quote a Bicep string
+ * @param {string} value - String value
+ * @returns {string} Bicep string literal
+ */
+function bicepString(value) {
+    const escaped = value
+        .replaceAll('\\', '\\\\')
+        .replaceAll("'", "\\'")
+        .replaceAll('${', '\\${')
+        .replaceAll('\n', '\\n')
+        .replaceAll('\r', '\\r')
+        .replaceAll('\t', '\\t');
+    return `'${escaped}'`;
+}
+
+/**
+ * Render a job as a Bicep module that deploys it to the resource group of its environment
+ * @param {string} jobName - Job name
+ * @param {types.Job} job - Job configuration
+ * @returns {string} Bicep module
+ */
+export function renderBicep(jobName, job) {
+    const { resource, secrets, environmentName } = toExportResource(jobName, job);
+    const { type, apiVersion, ...body } = resource;
+    const syntax = {
+        separator: '',
+        key: key => (/^[a-zA-Z_]\w*$/.test(key) ? key : bicepString(key)),
+        string: bicepString,
+        reference: name => (name === 'location' ? 'environment.location' : name)
+    };
+
+    const parameters = secrets.map(({ name, parameter }) =>
+        `@secure()\n@description(${bicepString(`Value of secret ${name}`)})\nparam ${parameter} string\n`);
+
+    return [
+        `// Container App Job ${jobName}, exported by enosix/github-action-container-job`,
+        '',
+        ...parameters,
+        `resource environment 'Microsoft.App/managedEnvironments@${apiVersion}' existing = {`,
+        `  name: ${bicepString(environmentName)}`,
+        '}',
+        '',
+        `resource job '${type}@${apiVersion}' = ${renderValue(body, syntax)}`,
+        '',
+        'output id string = job.id',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render a job as an ARM template that deploys it to the resource group of its environment
+ * @param {string} jobName - Job name
+ * @param {types.Job} job - Job configuration
+ * @returns {string} ARM template JSON
+ */
+export function renderArmTemplate(jobName, job) {
+    const { resource, secrets, environmentName } = toExportResource(jobName, job);
+    const expressions = {
+        location: `[reference(resourceId('Microsoft.App/managedEnvironments', '${environmentName}'), '${API_VERSION}', 'full').location]`,
+        id: `[resourceId('Microsoft.App/jobs', '${jobName}')]`
+    };
+    const syntax = {
+        separator: ',',
+        key: JSON.stringify,
+        // Strings in brackets are expressions in ARM templates, a leading '[[' keeps them literal
+        string: value => JSON.stringify(/^\[[\s\S]*\]$/.test(value) ? `[${value}` : value),
+        reference: name => JSON.stringify(expressions[name] || `[parameters('${name}')]`)
+    };
+
+    const template = {
+        $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#',
+        contentVersion: '1.0.0.0',
+        parameters: Object.fromEntries(secrets.map(({ name, parameter }) =>
+            [parameter, { type: 'securestring', metadata: { description: `Value of secret ${name}` } }])),
+        resources: [resource],
+        outputs: {
+            id: { type: 'string', value: reference('id') }
+        }
+    };
+    return `${renderValue(template, syntax)}\n`;
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value to quote
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+    return `'${String(value).replaceAll("'", "'\\''")}'`;
+}
+
+/**
+ * Render a job as a bash script that creates it with az containerapp job create. The payload is
+ * passed as a spec file built with jq, so secret values are read from environment variables.
+ * @param {string} jobName - Job name
+ * @param {types.Job} job - Job configuration
+ * @param {string} resourceGroup - Resource group name
+ * @returns {string} Bash script
+ */
+export function renderAzCliScript(jobName, job, resourceGroup) {
+    const { resource, secrets } = toExportResource(jobName, job);
+    const { type, apiVersion, name, ...body } = resource;
+    const syntax = {
+        separator: ',',
+        key: JSON.stringify,
+        string: JSON.stringify,
+        reference: parameter => `$${parameter}`
+    };
+    const variables = secrets.map(secret => ({ ...secret, variable: secret.parameter.replaceAll(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase() }));
+
+    return [
+        '#!/usr/bin/env bash',
+        `# Creates Container App Job ${jobName}, exported by enosix/github-action-container-job.`,
+        '# Requires the Azure CLI with the containerapp extension and jq.',
+        ...(variables.length > 0 ? ['# Secret values are read from environment variables.'] : []),
+        'set -euo pipefail',
+        '',
+        ...variables.map(({ name, variable }) => `: "\${${variable}:?Set ${variable} to the value of secret ${name}}"`),
+        ...(variables.length > 0 ? [''] : []),
+        `environment_id=${shellQuote(body.properties.environmentId)}`,
+        'location="$(az containerapp env show --ids "$environment_id" --query location --output tsv)"',
+        '',
+        'spec_dir="$(mktemp -d)"',
+        'trap \'rm -rf "$spec_dir"\' EXIT',
+        '',
+        'cat > "$spec_dir/job.jq" <<\'SPEC\'',
+        renderValue(body, syntax),
+        'SPEC',
+        '',
+        ['jq --null-input --arg location "$location"', ...variables.map(({ parameter, variable }) => `--arg ${parameter} "$${variable}"`), '--from-file "$spec_dir/job.jq" > "$spec_dir/job.yaml"'].join(' \\\n  '),
+        '',
+        'az containerapp job create \\',
+        `  --name ${shellQuote(name)} \\`,
+        `  --resource-group ${shellQuote(resourceGroup)} \\`,
+        '  --environment "$environment_id" \\',
+        '  --yaml "$spec_dir/job.yaml"',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Write a job as infrastructure as code and optionally upload the file as an artifact
+ * @param {string} jobName - Job name
+ * @param {types.Job} job - Job configuration from buildJobConfig
+ * @param {object} options - Export options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.resourceGroup - Resource group name
+ * @param {string} [options.filePath] - Output file, relative to the workspace; defaults to the job name with the format's extension
+ * @param {boolean} [options.upload] - Upload the file as an artifact
+ * @returns {Promise<string>} Absolute path of the written file
+ */
+export async function exportJob(jobName, job, options) {
+    const { format, resourceGroup, filePath, upload = false } = options;
+    const content = {
+        bicep: () => renderBicep(jobName, job),
+        arm: () => renderArmTemplate(jobName, job),
+        'az-cli': () => renderAzCliScript(jobName, job, resourceGroup)
+    }[format]();
+
+    const resolved = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), filePath || `${jobName}${EXPORT_FORMATS[format]}`);
+    mkdirSync(path.dirname(resolved), { recursive: true });
+    writeFileSync(resolved, content, { encoding: 'utf8', mode: format === 'az-cli' ? 0o755 : 0o644 });
+    core.info(`Exported job ${jobName} as ${format} to ${resolved}`);
+
+    if (upload) {
+        await uploadJobExport(jobName, path.basename(resolved), content);
+    }
+
+    return resolved;
+}
@@ -0,0 +1,269 @@
+/**
+ * In-memory fake of the Container Apps, Log Analytics and artifact backends, for offline tests of the action.
+ * Install it with setClientFactory(fake.clientFactory).
+ */
+import { readFileSync } from 'node:fs';
+import * as path from 'node:path';
+
+/**
+ * Create an error shaped like the ones the Azure SDK throws
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode
+ */
+function azureError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Copy a value the way it would round-trip through the REST API
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Turn a list into the paged async iterable the SDK list operations return
+ * @param {function(): object[]} getItems - Called when iteration starts
+ * @returns {AsyncIterable<object>} Iterable of the items
+ */
+function pagedList(getItems) {
+    return {
+        async *[Symbol.asyncIterator]() {
+            yield* getItems();
+        }
+    };
+}
+
+/**
+ * Get the value a KQL query compares a column with, e.g. ContainerJobName_s == "job"
+ * @param {string} query - KQL query
+ * @param {string} column - Column name
+ * @returns {string|undefined} Compared value
+ */
+function whereValue(query, column) {
+    const match = new RegExp(`${column} == "((?:[^"\\\\]|\\\\.)*)"`).exec(query);
+    return match ? match[1].replaceAll('\\"', '"').replaceAll('\\\\', '\\') : undefined;
+}
+
+/**
+ * Create a fake Azure backend. Log rows are ingested as soon as they are logged. Each started execution takes the next outcome from `outcomes`:
+ *  - status: final status, 'Succeeded' (default) or 'Failed'
+ *  - polls: number of status checks that still report 'Running' (default 0, Infinity never finishes)
+ *  - logs: console log lines written by the main container
+ *  - replicas: replicas reported by the replicas endpoint, defaults to one that matches the status
+ *  - systemEvents: system log records, e.g. { Reason_s: 'ImagePullBackOff', Log_s: '...' }
+ *  - startError: message of an error thrown when the execution is started
+ * @param {object} [options] - Fake options
+ * @param {string} [options.location] - Location of every managed environment
+ * @param {object[]} [options.outcomes] - Outcome of every execution, in start order
+ * @returns {object} Fake with its state, the recorded calls and a clientFactory for setClientFactory
+ */
+export function createFakeAzure(options = {}) {
+    const { location = 'East US', outcomes = [] } = options;
+    const jobs = new Map();
+    const executions = new Map();
+    const consoleLogs = [];
+    const systemLogs = [];
+    const artifacts = [];
+    const calls = [];
+    let executionCount = 0;
+
+    // Secret values are write-only in ARM, like in a real GET
+    const readJob = (job) => {
+        const copy = clone(job);
+        for (const secret of copy.configuration?.secrets || []) {
+            secret.value = null;
+        }
+        return copy;
+    };
+
+    const readExecution = ({ name, id, status, startTime, endTime, template }) => clone({ name, id, status, startTime, endTime, template });
+
+    const finish = (execution) => {
+        const { outcome } = execution;
+        execution.status = outcome.status || 'Succeeded';
+        execution.endTime = new Date().toISOString();
+        for (const line of outcome.logs || []) {
+            consoleLogs.push({
+                TimeGenerated: new Date().toISOString(),
+                ContainerJobName_s: execution.jobName,
+                ContainerGroupName_s: execution.name,
+                ContainerName_s: 'main',
+                Log_s: line
+            });
+        }
+        for (const event of outcome.systemEvents || []) {
+            systemLogs.push({
+                TimeGenerated: new Date().toISOString(),
+                JobName_s: execution.jobName,
+                ExecutionName_s: execution.name,
+                Type_s: 'Warning',
+                ...event
+            });
+        }
+    };
+
+    const getExecution = (jobName, executionName) => {
+        const execution = executions.get(executionName);
+        if (!execution || execution.jobName !== jobName) {
+            throw azureError(404, `Execution ${executionName} of job ${jobName} was not found`);
+        }
+        return execution;
+    };
+
+    const containerApps = (subscriptionId) => ({
+        subscriptionId,
+        $host: 'https://management.fake.azure',
+        managedEnvironments: {
+            get: async (resourceGroup, environmentName) => ({ name: environmentName, location })
+        },
+        jobs: {
+            get: async (resourceGroup, jobName) => {
+                const job = jobs.get(jobName);
+                if (!job) {
+                    throw azureError(404, `Job ${jobName} was not found`);
+                }
+                return readJob(job);
+            },
+            beginCreateOrUpdateAndWait: async (resourceGroup, jobName, config) => {
+                calls.push(['createOrUpdate', jobName]);
+                const id = `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.App/jobs/${jobName}`;
+                jobs.set(jobName, { ...clone(config), id, name: jobName, provisioningState: 'Succeeded' });
+                return readJob(jobs.get(jobName));
+            },
+            beginUpdateAndWait: async (resourceGroup, jobName, patch) => {
+                calls.push(['update', jobName]);
+                const job = jobs.get(jobName);
+                if (!job) {
+                    throw azureError(404, `Job ${jobName} was not found`);
+                }
+                // Like ARM, a PATCH replaces the tags as a whole
+                if (patch.tags) {
+                    job.tags = clone(patch.tags);
+                }
+                return readJob(job);
+            },
+            beginStartAndWait: async (resourceGroup, jobName, { template } = {}) => {
+                if (!jobs.has(jobName)) {
+                    throw azureError(404, `Job ${jobName} was not found`);
+                }
+                const outcome = outcomes.shift() || {};
+                if (outcome.startError) {
+                    throw azureError(400, outcome.startError);
+                }
+
+                const name = `${jobName}-${String(++executionCount).padStart(7, '0')}`;
+                calls.push(['start', name]);
+                executions.set(name, {
+                    name,
+                    id: `${jobs.get(jobName).id}/executions/${name}`,
+                    jobName,
+                    status: 'Running',
+                    startTime: new Date().toISOString(),
+                    template: clone(template ?? jobs.get(jobName).template),
+                    outcome,
+                    polls: 0
+                });
+                return { id: executions.get(name).id, name };
+            },
+            beginStopExecutionAndWait: async (resourceGroup, jobName, executionName) => {
+                calls.push(['stop', executionName]);
+                const execution = getExecution(jobName, executionName);
+                if (execution.status === 'Running') {
+                    execution.status = 'Stopped';
+                    execution.endTime = new Date().toISOString();
+                }
+            },
+            beginDeleteAndWait: async (resourceGroup, jobName) => {
+                calls.push(['delete', jobName]);
+                jobs.delete(jobName);
+            },
+            listByResourceGroup: () => pagedList(() => [...jobs.values()].map(readJob))
+        },
+        jobsExecutions: {
+            list: (resourceGroup, jobName) => pagedList(() => [...executions.values()]
+                .filter(execution => execution.jobName === jobName)
+                .map(readExecution))
+        },
+        jobExecution: async (resourceGroup, jobName, executionName) => {
+            const execution = getExecution(jobName, executionName);
+            if (execution.status === 'Running') {
+                if (execution.polls >= (execution.outcome.polls ?? 0)) {
+                    finish(execution);
+                } else {
+                    execution.polls++;
+                }
+            }
+            return readExecution(execution);
+        },
+        sendRequest: async (request) => {
+            const match = /\/jobs\/([^/]+)\/executions\/([^/]+)\/replicas\?/.exec(request.url);
+            const execution = match && executions.get(decodeURIComponent(match[2]));
+            if (!execution) {
+                return { status: 404, bodyAsText: '{}' };
+            }
+
+            const exitCode = execution.status === 'Failed' ? 1 : 0;
+            const replicas = execution.outcome.replicas || (execution.status === 'Running'
+                ? [{ name: `${execution.name}-r0`, containers: [{ name: 'main', runningState: 'Running' }] }]
+                : [{ name: `${execution.name}-r0`, containers: [{ name: 'main', runningState: 'Terminated', runningStateDetails: `Completed with exit code ${exitCode}` }] }]);
+            const value = replicas.map(({ name, ...properties }) => ({ name, properties }));
+            return { status: 200, bodyAsText: JSON.stringify({ value }) };
+        }
+    });
+
+    const logsQuery = () => ({
+        queryWorkspace: async (workspaceId, query) => {
+            const isSystem = query.includes('ContainerAppSystemLogs_CL');
+            const jobName = whereValue(query, isSystem ? 'JobName_s' : 'ContainerJobName_s');
+            const executionName = whereValue(query, isSystem ? 'ExecutionName_s' : 'ContainerGroupName_s');
+            // The live log stream only asks for the rows ingested since its last poll
+            const ingestedSince = /Ingested >= datetime\(([^)]+)\)/.exec(query)?.[1];
+            const records = (isSystem ? systemLogs : consoleLogs)
+                .filter(record => (isSystem ? record.JobName_s : record.ContainerJobName_s) === jobName)
+                .filter(record => !executionName || (isSystem ? record.ExecutionName_s : record.ContainerGroupName_s) === executionName)
+                .map(record => ({ ...record, Ingested: record.TimeGenerated }))
+                .filter(record => !ingestedSince || Date.parse(record.Ingested) >= Date.parse(ingestedSince));
+
+            const projection = /\| project (.+)/.exec(query);
+            const columns = projection
+                ? projection[1].split(',').map(column => column.trim())
+                : [...new Set(records.flatMap(record => Object.keys(record)))];
+            return {
+                status: 'Success',
+                tables: [{
+                    name: 'PrimaryResult',
+                    columnDescriptors: columns.map(name => ({ name })),
+                    rows: records.map(record => columns.map(column => record[column]))
+                }]
+            };
+        }
+    });
+
+    const artifact = () => ({
+        uploadArtifact: async (name, files) => {
+            const contents = Object.fromEntries(files.map(file => [path.basename(file), readFileSync(file, 'utf8')]));
+            artifacts.push({ name, files: contents });
+            return { id: artifacts.length, size: Object.values(contents).join('').length };
+        }
+    });
+
+    return {
+        jobs,
+        executions,
+        consoleLogs,
+        systemLogs,
+        artifacts,
+        calls,
+        clientFactory: {
+            containerApps: (credential, subscriptionId) => containerApps(subscriptionId),
+            logsQuery,
+            artifact
+        }
+    };
+}
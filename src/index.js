@@ -1,7 +1,13 @@
 /**
  * This file is the entrypoint for the action
  */
-import { run } from './main.js';
+import * as core from '@actions/core';
+import { run, cleanup } from './main.js';
 
-// It calls the actual logic of the action
-run();
+// The same entrypoint runs as the post step, which only cleans up after a cancelled run
+if (core.getState('isPost') === 'true') {
+    cleanup();
+} else {
+    core.saveState('isPost', 'true');
+    run();
+}
@@ -1,5 +1,21 @@
 import * as core from '@actions/core';
+import * as path from 'node:path';
+import { readFileSync } from 'node:fs';
+import YAML from 'yaml';
 import { parseCommand } from './utils.js';
+import { AUTH_TYPES, resolveCloudName } from './auth.js';
+import { EXPORT_FORMATS } from './export.js';
+import { MAIN_CONTAINER_NAME, isKeyVaultUrl, getRunTags, buildSecrets, toSecretName, buildContainerOptions } from './config.js';
+
+/**
+ * Supported values of the action input
+ */
+const ACTIONS = ['create', 'update', 'run', 'start', 'delete', 'status', 'list-executions', 'stop', 'cleanup', 'export'];
+
+/**
+ * Actions that work on a job that already exists, so job-name cannot be generated
+ */
+const EXISTING_JOB_ACTIONS = ['start', 'status', 'list-executions', 'stop'];
 
 /**
  * Get input safely with fallback for tests
@@ -48,66 +64,592 @@ export function parseJsonInput(inputName) {
     }
 }
 
+/**
+ * Parse JSON or YAML input safely
+ * @param {string} inputName - Name of the input to parse
+ * @returns {object} Parsed object or empty object
+ */
+export function parseStructuredInput(inputName) {
+    const input = getInput(inputName, { required: false });
+
+    if (!input || input.trim() === '') {
+        return {};
+    }
+
+    try {
+        // JSON is a subset of YAML, so both formats go through the YAML parser
+        return YAML.parse(input) ?? {};
+    } catch (error) {
+        throw new Error(`Failed to parse ${inputName}: ${error.message}`);
+    }
+}
+
+/**
+ * Register every inline secret value with the runner so it is masked in the logs
+ * @param {object} secrets - Parsed secrets input
+ * @param {string} [registryPassword] - Container registry password
+ * @returns {void}
+ */
+export function maskSecrets(secrets, registryPassword) {
+    for (const spec of Object.values(secrets || {})) {
+        const value = typeof spec === 'string' && !isKeyVaultUrl(spec) ? spec : spec?.value;
+        if (value) {
+            core.setSecret(String(value));
+        }
+    }
+
+    if (registryPassword) {
+        core.setSecret(registryPassword);
+    }
+}
+
+/**
+ * Load a job definition file (JSON or YAML shaped like the Job type)
+ * @param {string} filePath - Path to the file, relative to the workspace
+ * @returns {types.Job|undefined} Parsed job definition, or undefined when no file is given
+ */
+export function loadJobDefinition(filePath) {
+    if (!filePath || filePath.trim() === '') {
+        return undefined;
+    }
+
+    const resolved = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), filePath.trim());
+    let definition;
+    try {
+        definition = YAML.parse(readFileSync(resolved, { encoding: 'utf8' }));
+    } catch (error) {
+        throw new Error(`Failed to load job-definition-file ${filePath}: ${error.message}`);
+    }
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Failed to load job-definition-file ${filePath}: expected an object shaped like a Container Apps Job`);
+    }
+
+    return definition;
+}
+
+/**
+ * Parse an integer input
+ * @param {string} inputName - Name of the input to parse
+ * @param {number} [defaultValue] - Value used when the input is empty
+ * @param {number} [minimum] - Smallest accepted value
+ * @returns {number|undefined} Parsed integer or the default value
+ */
+export function parseIntegerInput(inputName, defaultValue, minimum = 1) {
+    const input = getInput(inputName, { required: false });
+
+    if (!input || input.trim() === '') {
+        return defaultValue;
+    }
+
+    const value = Number(input.trim());
+    if (!Number.isInteger(value) || value < minimum) {
+        throw new Error(`Invalid ${inputName}: ${input}. Must be an integer of at least ${minimum}.`);
+    }
+
+    return value;
+}
+
+/**
+ * Parse a replica success threshold, either a count ("3") or a percentage ("75%")
+ * @param {string} value - Threshold string
+ * @returns {{count?: number, percent?: number}|null} Parsed threshold or null when not set
+ */
+export function parseSuccessThreshold(value) {
+    if (!value || value.trim() === '') {
+        return null;
+    }
+
+    const trimmed = value.trim();
+    const percentMatch = /^(\d+(?:\.\d+)?)%$/.exec(trimmed);
+    if (percentMatch) {
+        const percent = Number.parseFloat(percentMatch[1]);
+        if (percent <= 0 || percent > 100) {
+            throw new Error(`Invalid success-threshold: ${value}. Percentage must be greater than 0 and at most 100.`);
+        }
+        return { percent };
+    }
+
+    if (/^\d+$/.test(trimmed) && Number.parseInt(trimmed, 10) > 0) {
+        return { count: Number.parseInt(trimmed, 10) };
+    }
+
+    throw new Error(`Invalid success-threshold: ${value}. Must be a replica count (e.g. "3") or a percentage (e.g. "75%").`);
+}
+
+/**
+ * Parse the per-execution overrides of a fan-out run
+ * @param {*} value - Parsed executions input, a list of objects with name, env, command and args
+ * @returns {object[]} Shards with name, environmentVariables, command and args, empty when the input is not set
+ */
+export function parseExecutions(value) {
+    if (value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        throw new Error('Invalid executions: expected a list of execution overrides');
+    }
+
+    const errors = [];
+    const shards = value.map((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push(`executions[${index}]: expected an object with env, command or args`);
+            return null;
+        }
+
+        const unknown = Object.keys(item).filter(key => !['name', 'env', 'command', 'args'].includes(key));
+        if (unknown.length > 0) {
+            errors.push(`executions[${index}]: unknown ${unknown.join(', ')}. Supported are name, env, command and args.`);
+        }
+
+        const env = item.env ?? {};
+        if (typeof env !== 'object' || Array.isArray(env)) {
+            errors.push(`executions[${index}].env: expected an object of environment variables`);
+        } else {
+            for (const name of Object.keys(env)) {
+                if (!/^[-._a-zA-Z][-._a-zA-Z0-9]*$/.test(name)) {
+                    errors.push(`executions[${index}].env: invalid environment variable name ${name}`);
+                }
+            }
+        }
+
+        // command and args accept the same string forms as the inputs, or a list of strings
+        const parseList = (field) => {
+            const list = item[field];
+            if (list === undefined || list === null || (Array.isArray(list) && list.every(word => typeof word === 'string'))) {
+                return list ?? undefined;
+            }
+            try {
+                if (typeof list !== 'string') {
+                    throw new Error('expected a string or a list of strings');
+                }
+                return parseCommand(list);
+            } catch (error) {
+                errors.push(`executions[${index}].${field}: ${error.message}`);
+                return undefined;
+            }
+        };
+
+        return {
+            name: item.name === undefined ? `shard-${index}` : String(item.name),
+            environmentVariables: typeof env === 'object' && !Array.isArray(env)
+                ? Object.fromEntries(Object.entries(env).map(([name, envValue]) => [name, String(envValue)]))
+                : {},
+            command: parseList('command'),
+            args: parseList('args')
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid executions:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return shards;
+}
+
+/**
+ * Get the authentication and cloud inputs. The post step reads them again to stop a cancelled execution.
+ * @returns {{authType: string, tenantId: string, clientId: string, clientSecret: string, clientCertificatePath: string, cloud: string}} Authentication inputs
+ */
+export function getAuthInputs() {
+    const clientSecret = getInput('client-secret', { required: false });
+    if (clientSecret) {
+        core.setSecret(clientSecret);
+    }
+
+    return {
+        authType: (getInput('auth-type', { required: false }) || 'default').toLowerCase(),
+        tenantId: getInput('tenant-id', { required: false }),
+        clientId: getInput('client-id', { required: false }),
+        clientSecret,
+        clientCertificatePath: getInput('client-certificate-path', { required: false }),
+        cloud: getInput('cloud', { required: false }) || 'public'
+    };
+}
+
+/**
+ * Check the authentication inputs each auth-type needs
+ * @param {object} auth - Authentication inputs from getAuthInputs
+ * @returns {string[]} Problems found
+ */
+function validateAuthInputs(auth) {
+    const { authType, tenantId, clientId, clientSecret, clientCertificatePath, cloud } = auth;
+    const errors = [];
+
+    if (!AUTH_TYPES.includes(authType)) {
+        errors.push(`Invalid auth-type: ${authType}. Must be one of ${AUTH_TYPES.map(type => `'${type}'`).join(', ')}.`);
+    }
+
+    if (!resolveCloudName(cloud)) {
+        errors.push(`Invalid cloud: ${cloud}. Must be one of 'public', 'usgovernment', or 'china'.`);
+    }
+
+    if (['oidc', 'service-principal'].includes(authType) && !(tenantId && clientId)) {
+        errors.push(`auth-type ${authType} needs tenant-id and client-id.`);
+    }
+
+    if (authType === 'service-principal' && !clientSecret && !clientCertificatePath) {
+        errors.push('auth-type service-principal needs client-secret or client-certificate-path.');
+    }
+
+    return errors;
+}
+
+/**
+ * Fields of a cron expression with their allowed values
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day-of-week', min: 0, max: 6, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * Check a five-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Problem with the expression, or null when it is valid
+ */
+export function validateCronExpression(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        return `Invalid cron-schedule: "${expression}". Must have 5 fields: minute hour day-of-month month day-of-week.`;
+    }
+
+    for (const [index, field] of fields.entries()) {
+        const { name, min, max, names = [] } = CRON_FIELDS[index];
+        const toNumber = value => {
+            const nameIndex = names.indexOf(value.toUpperCase());
+            if (nameIndex >= 0) {
+                return nameIndex + min;
+            }
+            return /^\d+$/.test(value) ? Number(value) : Number.NaN;
+        };
+
+        const valid = field.split(',').every(item => {
+            const match = /^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/.exec(item);
+            if (!match || match[2] === '0') {
+                return false;
+            }
+            if (match[1] === '*') {
+                return true;
+            }
+            const bounds = match[1].split('-').map(toNumber);
+            return bounds.every(value => value >= min && value <= max) && (bounds.length === 1 || bounds[0] <= bounds[1]);
+        });
+
+        if (!valid) {
+            return `Invalid cron-schedule: "${expression}". The ${name} field '${field}' must use values from ${min} to ${max}, '*', ranges, lists and steps.`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * CPU and memory combinations allowed on the Consumption plan: 0.25 to 4 CPU in steps of 0.25, with twice as many Gi
+ * @param {number} cpu - CPU cores
+ * @param {string} memory - Memory, e.g. "1Gi"
+ * @returns {boolean} True when the pair is allowed
+ */
+function isConsumptionResourcePair(cpu, memory) {
+    const match = /^(\d+(?:\.\d+)?)Gi$/.exec(memory);
+    return Number.isInteger(cpu * 4) && cpu >= 0.25 && cpu <= 4 && match !== null && Number(match[1]) === cpu * 2;
+}
+
+/**
+ * Check the inputs Azure would otherwise reject minutes later with vague errors
+ * @param {object} inputs - Parsed inputs
+ * @returns {string[]} Problems found, empty when the inputs are valid
+ */
+export function validateInputs(inputs) {
+    const {
+        jobName,
+        cronSchedule,
+        environmentVariables = {},
+        secrets = {},
+        secretsIdentity,
+        userManagedIdentity,
+        cpu,
+        memory,
+        registryServer,
+        registryUsername,
+        registryPassword,
+        registryIdentity,
+        jobDefinition,
+        auth,
+        action,
+        successThreshold,
+        replicaCompletionCount
+    } = inputs;
+    const errors = auth ? validateAuthInputs(auth) : [];
+
+    if (jobName && (!/^[a-z][a-z0-9-]{0,30}[a-z0-9]$/.test(jobName) || jobName.includes('--'))) {
+        errors.push(`Invalid job-name: ${jobName}. Must be 2 to 32 lowercase letters, digits and '-', start with a letter, end with a letter or digit, and not contain '--'.`);
+    }
+
+    const cronError = cronSchedule ? validateCronExpression(cronSchedule) : null;
+    if (cronError) {
+        errors.push(cronError);
+    }
+
+    for (const name of [...Object.keys(environmentVariables), ...Object.keys(secrets)]) {
+        if (!/^[-._a-zA-Z][-._a-zA-Z0-9]*$/.test(name)) {
+            errors.push(`Invalid environment variable name: ${name}. Must contain only letters, digits, '_', '-' and '.', and not start with a digit.`);
+        }
+    }
+
+    for (const key of Object.keys(secrets)) {
+        const secretName = toSecretName(key);
+        if (!/^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/.test(secretName)) {
+            errors.push(`Invalid secret name: ${key} becomes '${secretName}', which must be lowercase letters, digits, '-' and '.', and start and end with a letter or digit.`);
+        }
+    }
+
+    try {
+        buildSecrets(secrets, secretsIdentity || userManagedIdentity);
+    } catch (error) {
+        errors.push(error.message.replaceAll('\n  - ', '\n      - '));
+    }
+
+    // Dedicated workload profiles allow other combinations
+    if ((cpu || memory) && !jobDefinition?.workloadProfileName) {
+        const definitionContainers = jobDefinition?.template?.containers || [];
+        const definitionResources = (definitionContainers.find(c => c.name === MAIN_CONTAINER_NAME) || definitionContainers[0])?.resources || {};
+        const effectiveCpu = cpu ?? definitionResources.cpu ?? 0.5;
+        const effectiveMemory = memory ?? definitionResources.memory ?? '1Gi';
+        if (!isConsumptionResourcePair(Number(effectiveCpu), String(effectiveMemory))) {
+            errors.push(`Invalid cpu/memory: ${effectiveCpu} CPU with ${effectiveMemory}. On the Consumption plan memory must be twice the CPU in Gi, e.g. 0.5 and 1Gi or 1 and 2Gi, with 0.25 to 4 CPU in steps of 0.25.`);
+        }
+    }
+
+    if (registryServer && !registryIdentity && !(registryUsername && registryPassword)) {
+        errors.push(`registry-server ${registryServer} was given without credentials. Set registry-identity, or registry-username and registry-password.`);
+    }
+
+    // A count above the replicas of an execution can never be met; 'start' runs an existing job whose count is unknown here
+    if (successThreshold?.count && action !== 'start') {
+        const configuration = jobDefinition?.configuration || {};
+        const definitionCount = ['manualTriggerConfig', 'scheduleTriggerConfig', 'eventTriggerConfig']
+            .map(key => configuration[key]?.replicaCompletionCount)
+            .find(count => count !== undefined);
+        const replicas = replicaCompletionCount ?? definitionCount ?? 1;
+        if (successThreshold.count > replicas) {
+            errors.push(`Invalid success-threshold: ${successThreshold.count} is more than the ${replicas} replicas of an execution. Raise replica-completion-count or use a percentage.`);
+        }
+    }
+
+    return errors;
+}
+
 /**
  * Get all action inputs
  * @returns {object} All parsed inputs
  */
 export function getInputs() {
-    const subscriptionId = getInput('subscription-id', { required: true });
-    const resourceGroup = getInput('resource-group', { required: true });
-    const environmentName = getInput('environment-name', { required: true });
+    // Problems are collected so every one of them is reported at once, in dry-run mode too
+    const errors = [];
+    const collect = (parse, fallback) => {
+        try {
+            return parse();
+        } catch (error) {
+            errors.push(error.message.replaceAll('\n  - ', '\n      - '));
+            return fallback;
+        }
+    };
+
+    const subscriptionId = collect(() => getInput('subscription-id', { required: true }));
+    const auth = getAuthInputs();
+    const resourceGroup = collect(() => getInput('resource-group', { required: true }));
+    const environmentName = collect(() => getInput('environment-name', { required: true }));
     const jobName = getInput('job-name', { required: false });
     const image = getInput('image', { required: false });
     const commandString = getInput('command', { required: false });
+    const argsString = getInput('args', { required: false });
     const userManagedIdentity = getInput('user-managed-identity', { required: false });
+    const secretsIdentity = getInput('secrets-identity', { required: false });
     const cronSchedule = getInput('cron-schedule', { required: false });
-    const cpu = getInput('cpu', { required: false }) || '0.5';
-    const memory = getInput('memory', { required: false }) || '1Gi';
-    const timeout = Number.parseInt(getInput('timeout', { required: false }) || '1800', 10);
+    const cpu = getInput('cpu', { required: false }) || undefined;
+    const memory = getInput('memory', { required: false }) || undefined;
+    const timeout = collect(() => parseIntegerInput('timeout'));
+    const replicaRetryLimit = collect(() => parseIntegerInput('replica-retry-limit', undefined, 0));
     const registryServer = getInput('registry-server', { required: false });
     const registryUsername = getInput('registry-username', { required: false });
     const registryPassword = getInput('registry-password', { required: false });
     const registryIdentity = getInput('registry-identity', { required: false });
     const dryRun = (getInput('dry-run', { required: false }) || '').toLowerCase() === 'true';
     const logAnalyticsWorkspaceId = getInput('log-analytics-workspace-id', { required: false });
-    const action = (getInput('action', { required: true, default: 'run' }) || '').toLowerCase();
+    const streamLogs = (getInput('stream-logs', { required: false }) || 'true').toLowerCase() === 'true';
+    const uploadLogs = (getInput('upload-logs', { required: false }) || '').toLowerCase() === 'true';
+    const action = (collect(() => getInput('action', { required: true, default: 'run' })) || '').toLowerCase();
     const keepJob = (getInput('keep-job', { required: false }) || '').toLowerCase() === 'true';
+    const failOnDrift = (getInput('fail-on-drift', { required: false }) || '').toLowerCase() === 'true';
+    const concurrency = (getInput('concurrency', { required: false }) || 'ignore').toLowerCase();
+    const concurrencyTimeout = collect(() => parseIntegerInput('concurrency-timeout', 600), 600);
+    const executionName = getInput('execution-name', { required: false });
+    const executionStatuses = (getInput('execution-status', { required: false }) || '')
+        .split(',')
+        .map(status => status.trim())
+        .filter(Boolean);
+    const maxAgeHours = collect(() => parseIntegerInput('max-age-hours', action === 'cleanup' ? 24 : undefined));
+    const parallelism = collect(() => parseIntegerInput('parallelism'));
+    const replicaCompletionCount = collect(() => parseIntegerInput('replica-completion-count', parallelism));
+    const successThreshold = collect(() => parseSuccessThreshold(getInput('success-threshold', { required: false })), null);
+    const executions = collect(() => parseExecutions(parseStructuredInput('executions')), []);
+    const maxConcurrentExecutions = collect(() => parseIntegerInput('max-concurrent-executions', 5), 5);
+    const exportFormat = (getInput('export-format', { required: false }) || 'bicep').toLowerCase();
+    const exportPath = getInput('export-path', { required: false });
+    const uploadExport = (getInput('upload-export', { required: false }) || '').toLowerCase() === 'true';
+    const triggerType = (getInput('trigger-type', { required: false }) || (cronSchedule ? 'schedule' : '')).toLowerCase() || undefined;
+    const jobDefinition = collect(() => loadJobDefinition(getInput('job-definition-file', { required: false })));
+
+    if (action && !ACTIONS.includes(action)) {
+        errors.push(`Invalid action: ${action}. Must be one of ${ACTIONS.map(name => `'${name}'`).join(', ')}.`);
+    }
+
+    if (!['ignore', 'fail', 'wait', 'cancel-running'].includes(concurrency)) {
+        errors.push(`Invalid concurrency: ${concurrency}. Must be one of 'ignore', 'fail', 'wait', or 'cancel-running'.`);
+    }
 
-    if (!['create', 'run', 'delete'].includes(action)) {
-        throw new Error(`Invalid action: ${action}. Must be one of 'create', 'run', or 'delete'.`);
+    if (EXISTING_JOB_ACTIONS.includes(action) && !jobName) {
+        errors.push(`Input required and not supplied: job-name. Action '${action}' works on an existing job.`);
+    }
+
+    if (action === 'export' && !jobName) {
+        errors.push("Input required and not supplied: job-name. Action 'export' names the job in the exported template.");
+    }
+
+    if (action === 'export' && !Object.hasOwn(EXPORT_FORMATS, exportFormat)) {
+        errors.push(`Invalid export-format: ${exportFormat}. Must be one of ${Object.keys(EXPORT_FORMATS).map(name => `'${name}'`).join(', ')}.`);
+    }
+
+    if (action === 'status' && !executionName) {
+        errors.push("Input required and not supplied: execution-name. Action 'status' reports a single execution.");
+    }
+
+    if (executions.length > 0 && !['run', 'start'].includes(action)) {
+        errors.push(`executions cannot be used with action '${action}'. Only 'run' and 'start' start executions.`);
+    }
+
+    if (triggerType && !['manual', 'schedule', 'event'].includes(triggerType)) {
+        errors.push(`Invalid trigger-type: ${triggerType}. Must be one of 'manual', 'schedule', or 'event'.`);
+    }
+
+    if (triggerType && triggerType !== 'schedule' && cronSchedule) {
+        errors.push(`cron-schedule cannot be used with trigger-type ${triggerType}`);
+    }
+
+    if ((triggerType || jobDefinition?.configuration?.triggerType?.toLowerCase()) === 'event' && action === 'run') {
+        errors.push("Event-triggered jobs are started by their scale rules. Use action 'create' instead of 'run'.");
+    }
+
+    let eventTrigger;
+    if (triggerType === 'event') {
+        eventTrigger = {
+            pollingInterval: collect(() => parseIntegerInput('polling-interval', 30)),
+            minExecutions: collect(() => parseIntegerInput('min-executions', 0, 0)),
+            maxExecutions: collect(() => parseIntegerInput('max-executions', 10)),
+            rules: collect(() => parseJsonInput('scale-rules'), {})
+        };
     }
 
     // Parse JSON inputs
-    const environmentVariables = parseJsonInput('environment-variables');
-    const secrets = parseJsonInput('secrets');
+    const environmentVariables = collect(() => parseJsonInput('environment-variables'), {});
+    const secrets = collect(() => parseJsonInput('secrets'), {});
+    maskSecrets(secrets, registryPassword);
+    const extraContainers = collect(() => parseStructuredInput('extra-containers'), {});
+    const volumes = collect(() => parseStructuredInput('volumes'), {});
+    const volumeMounts = collect(() => parseStructuredInput('volume-mounts'), {});
+    const containerOptions = collect(() => buildContainerOptions(parseStructuredInput('container-options')), {});
+
+    // A job that 'run' deletes when it finishes is marked ephemeral, so 'cleanup' can remove it if the runner dies first
+    const tags = { ...collect(() => parseStructuredInput('tags'), {}), ...getRunTags(action === 'run' && !keepJob) };
     
-    // Parse command
-    const command = parseCommand(commandString);
+    // Parse command and args
+    const command = collect(() => parseCommand(commandString));
+    const args = collect(() => parseCommand(argsString));
+
+    errors.push(...validateInputs({
+        jobName,
+        cronSchedule,
+        environmentVariables,
+        secrets,
+        secretsIdentity,
+        userManagedIdentity,
+        cpu,
+        memory,
+        registryServer,
+        registryUsername,
+        registryPassword,
+        registryIdentity,
+        jobDefinition,
+        auth,
+        action,
+        successThreshold,
+        replicaCompletionCount
+    }));
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid inputs:\n  - ${errors.join('\n  - ')}`);
+    }
 
     return {
         subscriptionId,
+        auth,
         resourceGroup,
         environmentName,
         jobName,
         timeout,
         dryRun,
         logAnalyticsWorkspaceId,
+        streamLogs,
+        uploadLogs,
         action,
         keepJob,
+        failOnDrift,
+        concurrency,
+        concurrencyTimeout,
+        successThreshold,
+        executions,
+        maxConcurrentExecutions,
+        exportFormat,
+        exportPath,
+        uploadExport,
+        executionName,
+        maxAgeHours,
+        executionFilter: {
+            statuses: executionStatuses,
+            maxAgeHours
+        },
 
         containerConfig: {
             image,
             command,
+            args,
             userManagedIdentity,
             environmentVariables,
             secrets,
+            secretsIdentity,
             cpu,
             memory,
             registryServer,
             registryUsername,
             registryPassword,
             registryIdentity,
-            cronSchedule
+            cronSchedule,
+            triggerType,
+            eventTrigger,
+            extraContainers,
+            volumes,
+            volumeMounts,
+            containerOptions,
+            parallelism,
+            replicaCompletionCount,
+            replicaTimeout: timeout,
+            replicaRetryLimit,
+            tags,
+            jobDefinition
         }
     };
 }
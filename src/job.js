@@ -1,18 +1,81 @@
 import * as core from '@actions/core';
-import {sleep, normalizeAzureLocation, uploadJobDefinition} from './utils.js';
-import { buildJobConfig } from './config.js';
+import { createPipelineRequest } from '@azure/core-rest-pipeline';
+import {sleep, isFinalExecutionStatus, normalizeAzureLocation, uploadJobDefinition, summarizeReplicas, formatChange, describeExecution, filterExecutions, diagnoseFailure, getExecutionSystemEvents} from './utils.js';
+import { buildJobConfig, redactJobConfig, diffJobConfig, isRunOwner, RUN_TAG_NAMES } from './config.js';
+
+// The replicas endpoint is not exposed by the SDK yet, so it is called with this API version
+const REPLICAS_API_VERSION = '2024-08-02-preview';
 
 /**
- * Create Azure Container App Job
+ * Thrown by pollJobExecution when the execution does not finish within the timeout
+ */
+export class ExecutionTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Job execution timed out after ${timeout} seconds`);
+        this.name = 'ExecutionTimeoutError';
+    }
+}
+
+/**
+ * Get an existing Container App Job
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @returns {Promise<object|null>} Job, or null when it does not exist
+ */
+export async function getExistingJob(client, resourceGroup, jobName) {
+    try {
+        return await client.jobs.get(resourceGroup, jobName);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return null;
+        }
+        throw new Error(`Failed to get job ${jobName}: ${error.message}`);
+    }
+}
+
+/**
+ * Write the run tags of the current workflow run to a job that did not need an update, so that the run
+ * using the job owns it and an earlier run does not delete it from under this one
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {object} existing - Job returned by Azure
+ * @param {Object<string, string>} [tags] - Desired job tags, including the run tags
+ * @returns {Promise<object>} Job with the run tags of this run
+ */
+async function claimJob(client, resourceGroup, jobName, existing, tags = {}) {
+    const runTags = Object.fromEntries(Object.entries(tags).filter(([name]) => RUN_TAG_NAMES.includes(name)));
+    const stale = Object.entries(runTags).some(([name, value]) => name !== 'github-created-at' && existing.tags?.[name] !== value);
+    if (!stale) {
+        return existing;
+    }
+
+    try {
+        // A tags-only PATCH leaves the job configuration and its running executions alone
+        const result = await client.jobs.beginUpdateAndWait(resourceGroup, jobName, { tags: { ...existing.tags, ...runTags } });
+        core.info(`Updated the run tags of job ${jobName}`);
+        return result;
+    } catch (error) {
+        throw new Error(`Failed to update the run tags of job ${jobName}: ${error.message}`);
+    }
+}
+
+/**
+ * Create or update Azure Container App Job, skipping the update when nothing changed
  * @param {object} client - Azure Container Apps API client
  * @param {string} resourceGroup - Resource group name
  * @param {string} environmentName - Container Apps environment name
  * @param {string} jobName - Job name
  * @param {object} config - Job configuration
- * @param dryRun
- * @returns {Promise<object>} Created job
+ * @param {boolean} [dryRun] - Only print the configuration and changes
+ * @param {object} [options] - Update options
+ * @param {boolean} [options.requireExisting] - Fail when the job does not exist yet
+ * @param {boolean} [options.failOnDrift] - Fail instead of applying changes
+ * @returns {Promise<{job: object, changed: boolean}>} Resulting job and whether it differed from Azure
  */
-export async function createJob(client, resourceGroup, environmentName, jobName, config, dryRun = false) {
+export async function createJob(client, resourceGroup, environmentName, jobName, config, dryRun = false, options = {}) {
+    const { requireExisting = false, failOnDrift = false } = options;
     core.info(`Creating job: ${jobName}`);
 
     // First, get the managed environment to obtain the location
@@ -29,13 +92,44 @@ export async function createJob(client, resourceGroup, environmentName, jobName,
     // Build the job configuration using the shared function
     const jobConfig = buildJobConfig(client.subscriptionId, resourceGroup, environmentName, location, config);
 
-    await uploadJobDefinition(jobConfig);
+    // Inline secret values never leave the runner in artifacts or logs
+    const redactedConfig = redactJobConfig(jobConfig);
+    await uploadJobDefinition(redactedConfig);
+
+    const existing = await getExistingJob(client, resourceGroup, jobName);
+    if (!existing && requireExisting) {
+        throw new Error(`Job ${jobName} does not exist. Use action 'create' to create it.`);
+    }
+
+    let changed = true;
+    if (existing) {
+        const changes = diffJobConfig(existing, jobConfig);
+        changed = changes.length > 0;
+        if (changed) {
+            core.info(`Job configuration changes for ${jobName} (${changes.length}):`);
+            changes.forEach(change => core.info(`  ${formatChange(change)}`));
+        } else {
+            core.info(`Job ${jobName} is up to date`);
+        }
+    } else {
+        core.info(`Job ${jobName} does not exist yet and will be created`);
+    }
+
+    if (changed && failOnDrift) {
+        throw new Error(existing
+            ? `Job ${jobName} has drifted from the action inputs`
+            : `Job ${jobName} does not exist`);
+    }
 
     if (dryRun) {
         core.info('Job configuration:');
-        core.info(JSON.stringify(jobConfig, null, 2));
+        core.info(JSON.stringify(redactedConfig, null, 2));
         core.info('Dry run mode enabled, skipping job creation');
-        return;
+        return { job: jobConfig, changed };
+    }
+
+    if (!changed) {
+        return { job: await claimJob(client, resourceGroup, jobName, existing, jobConfig.tags), changed };
     }
 
     try {
@@ -45,8 +139,8 @@ export async function createJob(client, resourceGroup, environmentName, jobName,
             jobConfig
         );
         
-        core.info(`Job created successfully: ${jobName}`);
-        return result;
+        core.info(`Job ${existing ? 'updated' : 'created'} successfully: ${jobName}`);
+        return { job: result, changed };
     } catch (error) {
         // Provide more context on failure
         core.error('Azure rejected job create with error:');
@@ -60,16 +154,18 @@ export async function createJob(client, resourceGroup, environmentName, jobName,
  * @param {object} client - Azure Container Apps API client
  * @param {string} resourceGroup - Resource group name
  * @param {string} jobName - Job name
+ * @param {object} [template] - Execution template overriding the job's containers for this execution only
  * @returns {Promise<object>} Job execution
  */
-export async function startJobExecution(client, resourceGroup, jobName) {
-    core.info(`Starting job execution: ${jobName}`);
+export async function startJobExecution(client, resourceGroup, jobName, template) {
+    core.info(`Starting job execution: ${jobName}${template ? ' with overrides' : ''}`);
     
     try {
         const execution = await client.jobs.beginStartAndWait(
             resourceGroup,
             jobName,
             {
+                template,
                 updateIntervalInMs: 5000
             }
         );
@@ -81,6 +177,48 @@ export async function startJobExecution(client, resourceGroup, jobName) {
     }
 }
 
+/**
+ * List the replicas of a job execution
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {string} executionName - Execution name
+ * @returns {Promise<object[]>} Replicas, or an empty array when they could not be retrieved
+ */
+export async function listJobExecutionReplicas(client, resourceGroup, jobName, executionName) {
+    const url = `${client.$host}/subscriptions/${client.subscriptionId}/resourceGroups/${encodeURIComponent(resourceGroup)}`
+        + `/providers/Microsoft.App/jobs/${encodeURIComponent(jobName)}/executions/${encodeURIComponent(executionName)}`
+        + `/replicas?api-version=${REPLICAS_API_VERSION}`;
+
+    try {
+        const response = await client.sendRequest(createPipelineRequest({ url, method: 'GET' }));
+        if (response.status !== 200) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const body = JSON.parse(response.bodyAsText || '{}');
+        return (body.value || []).map(replica => ({ name: replica.name, ...replica.properties }));
+    } catch (error) {
+        core.debug(`Could not list replicas for ${executionName}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Inspect the replicas and system log events of a failed execution to find out why it failed
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {object} execution - Failed job execution
+ * @param {string} [workspaceId] - Log Analytics Workspace ID for system log events
+ * @returns {Promise<object>} Diagnosis from diagnoseFailure
+ */
+export async function diagnoseExecution(client, resourceGroup, jobName, execution, workspaceId) {
+    const replicas = await listJobExecutionReplicas(client, resourceGroup, jobName, execution.name);
+    const events = await getExecutionSystemEvents(workspaceId, jobName, execution);
+    return diagnoseFailure(replicas, events);
+}
+
 /**
  * Poll for job execution completion
  * @param {object} client - Azure Container Apps API client
@@ -88,9 +226,10 @@ export async function startJobExecution(client, resourceGroup, jobName) {
  * @param {string} jobName - Job name
  * @param {string} executionName - Execution name
  * @param {number} timeout - Timeout in seconds
- * @returns {Promise<object>} Final job execution status
+ * @param {function(): Promise<void>} [onPoll] - Called after every status check, e.g. to print new log rows
+ * @returns {Promise<object>} Final job execution status, with a replicaSummary of every replica
  */
-export async function pollJobExecution(client, resourceGroup, jobName, executionName, timeout) {
+export async function pollJobExecution(client, resourceGroup, jobName, executionName, timeout, onPoll) {
     core.info(`Polling for job completion (timeout: ${timeout}s)`);
     
     const startTime = Date.now();
@@ -101,45 +240,381 @@ export async function pollJobExecution(client, resourceGroup, jobName, execution
         const elapsed = Date.now() - startTime;
         
         if (elapsed > timeoutMs) {
-            throw new Error(`Job execution timed out after ${timeout} seconds`);
+            throw new ExecutionTimeoutError(timeout);
         }
         
         try {
             const execution = await client.jobExecution(resourceGroup, jobName, executionName);
             
             const status = execution?.status;
-            core.info(`Job status: ${status}`);
+            const replicas = await listJobExecutionReplicas(client, resourceGroup, jobName, executionName);
+            const replicaSummary = summarizeReplicas(replicas, status);
+            core.info(`Job status: ${status} (replicas: ${replicaSummary.running} running, ${replicaSummary.succeeded} succeeded, ${replicaSummary.failed} failed)`);
             
-            if (status === 'Succeeded' || status === 'Failed') {
-                return execution;
+            if (isFinalExecutionStatus(status)) {
+                return { ...execution, replicaSummary };
             }
         } catch (error) {
             core.warning(`Error polling job status: ${error.message}`);
         }
+
+        if (onPoll) {
+            await onPoll();
+        }
         
         await sleep(pollInterval);
     }
 }
 
 /**
- * Delete the job
+ * Start one execution per template, at most `limit` at a time, and poll the running executions together until all finish
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {object[]} templates - Execution template of every shard
+ * @param {object} options - Run options
+ * @param {number} options.limit - Maximum number of executions running at once
+ * @param {number} options.timeout - Timeout of every execution in seconds
+ * @param {function(string[]): void} [options.onChange] - Called with the running execution names whenever they change
+ * @returns {Promise<object[]>} Final execution of every shard in template order, with a replicaSummary and an error or timedOut flag when it did not finish
+ */
+export async function runJobExecutions(client, resourceGroup, jobName, templates, options) {
+    const { limit, timeout, onChange } = options;
+    const pollInterval = 10000; // 10 seconds
+    const results = new Array(templates.length);
+    const running = new Map();
+    let next = 0;
+
+    const notify = () => onChange?.([...running.values()].map(entry => entry.name));
+
+    core.info(`Running ${templates.length} executions, at most ${limit} at a time (timeout: ${timeout}s each)`);
+
+    while (next < templates.length || running.size > 0) {
+        // Fill the free slots; a shard that cannot be started fails without stopping the others
+        while (next < templates.length && running.size < limit) {
+            const index = next++;
+            try {
+                const execution = await startJobExecution(client, resourceGroup, jobName, templates[index]);
+                running.set(index, { name: execution.name, startTime: Date.now() });
+            } catch (error) {
+                core.warning(`Shard ${index}: ${error.message}`);
+                results[index] = { name: null, status: 'Failed', error: error.message, replicaSummary: summarizeReplicas([], 'Failed') };
+            }
+            notify();
+        }
+
+        for (const [index, entry] of running) {
+            if (Date.now() - entry.startTime > timeout * 1000) {
+                core.warning(`Job execution ${entry.name} timed out after ${timeout} seconds`);
+                // An execution that could not be stopped may still be running, so its status is unknown
+                let status = await stopJobExecution(client, resourceGroup, jobName, entry.name);
+                if (!isFinalExecutionStatus(status)) {
+                    core.warning(`Job execution ${entry.name} could not be stopped after its timeout`);
+                    status = 'Unknown';
+                }
+                results[index] = { name: entry.name, status, timedOut: true, replicaSummary: summarizeReplicas([], null) };
+                running.delete(index);
+                notify();
+                continue;
+            }
+
+            try {
+                const execution = await client.jobExecution(resourceGroup, jobName, entry.name);
+                const status = execution?.status;
+                if (isFinalExecutionStatus(status)) {
+                    const replicas = await listJobExecutionReplicas(client, resourceGroup, jobName, entry.name);
+                    results[index] = { ...execution, replicaSummary: summarizeReplicas(replicas, status) };
+                    core.info(`Shard ${index}: ${entry.name} ${status}`);
+                    running.delete(index);
+                    notify();
+                }
+            } catch (error) {
+                core.warning(`Error polling job status of ${entry.name}: ${error.message}`);
+            }
+        }
+
+        if (running.size > 0 || next < templates.length) {
+            const finished = results.filter(Boolean).length;
+            core.info(`Executions: ${running.size} running, ${templates.length - next} queued, ${finished} finished`);
+            if (running.size > 0) {
+                await sleep(pollInterval);
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Stop a running job execution and wait until it is no longer running
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {string} executionName - Execution name
+ * @param {number} [timeout] - Seconds to wait for the execution to stop
+ * @returns {Promise<string|null>} Final execution status, or null when it could not be stopped
+ */
+export async function stopJobExecution(client, resourceGroup, jobName, executionName, timeout = 120) {
+    core.info(`Stopping job execution: ${executionName}`);
+
+    try {
+        await client.jobs.beginStopExecutionAndWait(resourceGroup, jobName, executionName);
+    } catch (error) {
+        core.warning(`Failed to stop job execution: ${error.message}`);
+        return null;
+    }
+
+    const deadline = Date.now() + timeout * 1000;
+    let status = null;
+    while (Date.now() < deadline) {
+        try {
+            const execution = await client.jobExecution(resourceGroup, jobName, executionName);
+            status = execution?.status;
+            if (status !== 'Running' && status !== 'Processing') {
+                core.info(`Job execution stopped: ${executionName} (${status})`);
+                return status;
+            }
+        } catch (error) {
+            core.warning(`Error polling job status: ${error.message}`);
+        }
+        await sleep(5000);
+    }
+
+    core.warning(`Job execution ${executionName} was still ${status} after ${timeout} seconds`);
+    return status;
+}
+
+/**
+ * Get the current state of a job execution and its replicas
  * @param {object} client - Azure Container Apps API client
  * @param {string} resourceGroup - Resource group name
  * @param {string} jobName - Job name
- * @param dryRun
+ * @param {string} executionName - Execution name
+ * @returns {Promise<object>} Execution summary from describeExecution
+ */
+export async function getJobExecution(client, resourceGroup, jobName, executionName) {
+    let execution;
+    try {
+        execution = await client.jobExecution(resourceGroup, jobName, executionName);
+    } catch (error) {
+        throw new Error(`Failed to get job execution ${executionName}: ${error.message}`);
+    }
+
+    const replicas = await listJobExecutionReplicas(client, resourceGroup, jobName, executionName);
+    return describeExecution(execution, summarizeReplicas(replicas, execution.status));
+}
+
+/**
+ * List the executions of a job
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {object} [filter] - Status and age filter, see filterExecutions
+ * @returns {Promise<object[]>} Execution summaries, newest first
+ */
+export async function listJobExecutions(client, resourceGroup, jobName, filter = {}) {
+    const executions = [];
+    try {
+        for await (const execution of client.jobsExecutions.list(resourceGroup, jobName)) {
+            executions.push(execution);
+        }
+    } catch (error) {
+        throw new Error(`Failed to list executions of job ${jobName}: ${error.message}`);
+    }
+
+    return filterExecutions(executions, filter).map(execution => describeExecution(execution));
+}
+
+/**
+ * Stop one execution, or every running execution of a job
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {string} [executionName] - Execution to stop; all running executions when empty
+ * @param {boolean} [dryRun] - Only list the executions that would be stopped
+ * @returns {Promise<{name: string, status: string|null}[]>} Stopped executions and their final status
+ */
+export async function stopJobExecutions(client, resourceGroup, jobName, executionName, dryRun = false) {
+    const names = executionName
+        ? [executionName]
+        : (await listJobExecutions(client, resourceGroup, jobName, { statuses: ['Running', 'Processing'] })).map(execution => execution.name);
+
+    if (names.length === 0) {
+        core.info(`No running executions of job ${jobName}`);
+    }
+
+    const results = [];
+    for (const name of names) {
+        if (dryRun) {
+            core.info(`Dry run enabled, skipping stop of job execution: ${name}`);
+            results.push({ name, status: null });
+            continue;
+        }
+        results.push({ name, status: await stopJobExecution(client, resourceGroup, jobName, name) });
+    }
+    return results;
+}
+
+/**
+ * Make sure no other execution of the job is running before it is created or updated
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {string} mode - 'fail', 'wait' or 'cancel-running'
+ * @param {number} timeout - Seconds to wait for the job to become idle in 'wait' and 'cancel-running' mode
  * @returns {Promise<void>}
  */
+export async function guardConcurrency(client, resourceGroup, jobName, mode, timeout) {
+    const deadline = Date.now() + timeout * 1000;
+
+    while (true) {
+        const running = await listJobExecutions(client, resourceGroup, jobName, { statuses: ['Running', 'Processing'] });
+        if (running.length === 0) {
+            return;
+        }
+
+        const names = running.map(execution => execution.name).join(', ');
+        if (mode === 'fail') {
+            throw new Error(`Job ${jobName} has running executions: ${names}. Set concurrency to 'wait' or 'cancel-running' to queue or replace them.`);
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Job ${jobName} still had running executions after ${timeout} seconds: ${names}`);
+        }
+
+        if (mode === 'cancel-running') {
+            core.info(`Cancelling running executions of job ${jobName}: ${names}`);
+            const stopped = await stopJobExecutions(client, resourceGroup, jobName);
+            const failed = stopped.filter(execution => execution.status === null).map(execution => execution.name);
+            if (failed.length > 0) {
+                throw new Error(`Failed to cancel running executions of job ${jobName}: ${failed.join(', ')}`);
+            }
+            await sleep(5000);
+            continue;
+        }
+
+        core.info(`Waiting for running executions of job ${jobName} to finish: ${names}`);
+        await sleep(15000);
+    }
+}
+
+/**
+ * Delete the job unless another workflow run has taken it over, e.g. by re-creating it under the same name,
+ * or is still running an execution of it
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {boolean} [dryRun] - Skip the deletion
+ * @param {string[]} [ownExecutions] - Executions started by this run, which do not keep the job in place
+ * @returns {Promise<void>}
+ */
+export async function deleteOwnedJob(client, resourceGroup, jobName, dryRun = false, ownExecutions = []) {
+    let job;
+    try {
+        job = await getExistingJob(client, resourceGroup, jobName);
+    } catch (error) {
+        core.warning(`Could not check the owner of job ${jobName}, leaving it in place: ${error.message}`);
+        return;
+    }
+
+    if (job && !isRunOwner(job.tags)) {
+        core.warning(`Job ${jobName} is now owned by workflow run ${job.tags['github-run-id']}, leaving it in place`);
+        return;
+    }
+
+    // Another run can use an unchanged job without updating it, e.g. with concurrency ignore
+    if (job) {
+        let others;
+        try {
+            const running = await listJobExecutions(client, resourceGroup, jobName, { statuses: ['Running', 'Processing'] });
+            others = running.map(execution => execution.name).filter(name => !ownExecutions.includes(name));
+        } catch (error) {
+            core.warning(`Could not check the running executions of job ${jobName}, leaving it in place: ${error.message}`);
+            return;
+        }
+        if (others.length > 0) {
+            core.info(`Job ${jobName} is still running executions of other runs (${others.join(', ')}), leaving it in place`);
+            return;
+        }
+    }
+
+    await deleteJob(client, resourceGroup, jobName, dryRun);
+}
+
+/**
+ * Delete ephemeral jobs that a run left behind, e.g. because the runner died before it could delete them.
+ * Only jobs tagged github-ephemeral in the given environment, older than maxAgeHours and without running
+ * executions are deleted.
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} environmentName - Container Apps environment name
+ * @param {number} maxAgeHours - Minimum age of a job in hours
+ * @param {boolean} [dryRun] - Only list the jobs that would be deleted
+ * @returns {Promise<string[]>} Names of the deleted jobs
+ */
+export async function cleanupJobs(client, resourceGroup, environmentName, maxAgeHours, dryRun = false) {
+    const environmentSuffix = `/managedenvironments/${environmentName.toLowerCase()}`;
+    const cutoff = Date.now() - maxAgeHours * 3600 * 1000;
+
+    const candidates = [];
+    try {
+        for await (const job of client.jobs.listByResourceGroup(resourceGroup)) {
+            const createdAt = Date.parse(job.tags?.['github-created-at'] || '');
+            if (job.tags?.['github-ephemeral'] === 'true'
+                && (job.environmentId || '').toLowerCase().endsWith(environmentSuffix)
+                && createdAt < cutoff) {
+                candidates.push(job.name);
+            }
+        }
+    } catch (error) {
+        throw new Error(`Failed to list jobs in ${resourceGroup}: ${error.message}`);
+    }
+
+    core.info(`Found ${candidates.length} ephemeral jobs older than ${maxAgeHours} hours`);
+
+    const deleted = [];
+    for (const jobName of candidates) {
+        // One job that cannot be checked does not stop the sweep
+        let running;
+        try {
+            running = await listJobExecutions(client, resourceGroup, jobName, { statuses: ['Running', 'Processing'] });
+        } catch (error) {
+            core.warning(`Skipping job ${jobName}: ${error.message}`);
+            continue;
+        }
+        if (running.length > 0) {
+            core.info(`Skipping job ${jobName}: ${running.length} executions are still running`);
+            continue;
+        }
+
+        if (await deleteJob(client, resourceGroup, jobName, dryRun)) {
+            deleted.push(jobName);
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Delete the job
+ * @param {object} client - Azure Container Apps API client
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @param {boolean} [dryRun] - Skip the deletion
+ * @returns {Promise<boolean>} True when the job was deleted, or would have been in dry-run mode
+ */
 export async function deleteJob(client, resourceGroup, jobName, dryRun = false) {
     core.info(`Deleting job: ${jobName}`);
     if (dryRun) {
         core.info('Dry run enabled, skipping job deletion');
-        return;
+        return true;
     }
     
     try {
         await client.jobs.beginDeleteAndWait(resourceGroup, jobName);
         core.info(`Job deleted successfully: ${jobName}`);
+        return true;
     } catch (error) {
         core.warning(`Failed to delete job: ${error.message}`);
+        return false;
     }
 }
\ No newline at end of file
@@ -1,9 +1,198 @@
 import * as core from '@actions/core';
-import { DefaultAzureCredential } from '@azure/identity';
-import { ContainerAppsAPIClient } from '@azure/arm-appcontainers';
-import { generateJobName, dumpJobLogs } from './utils.js';
-import { getInputs } from './input.js';
-import { createJob, startJobExecution, pollJobExecution, deleteJob } from './job.js';
+import { generateJobName, dumpJobLogs, createLogStream, meetsSuccessThreshold, uploadExecutionLogs, FINAL_EXECUTION_STATUSES } from './utils.js';
+import { getInputs, getAuthInputs } from './input.js';
+import { configureAuth } from './auth.js';
+import { createContainerAppsClient } from './clients.js';
+import {
+    createJob,
+    getExistingJob,
+    startJobExecution,
+    pollJobExecution,
+    stopJobExecution,
+    deleteJob,
+    deleteOwnedJob,
+    guardConcurrency,
+    getJobExecution,
+    listJobExecutions,
+    stopJobExecutions,
+    diagnoseExecution,
+    cleanupJobs,
+    runJobExecutions,
+    ExecutionTimeoutError
+} from './job.js';
+import { MAIN_CONTAINER_NAME, getPollingTimeout, describeProbe, buildJobConfig, buildExecutionTemplate, buildShardTemplates, redactJobConfig } from './config.js';
+import { exportJob } from './export.js';
+import { getJobResourceId, writeExecutionSummary, writeShardSummary, writeDryRunSummary } from './summary.js';
+
+/**
+ * Name of the state that records the running executions, so the post step can stop them
+ */
+const EXECUTION_STATE = 'execution';
+
+/**
+ * Stop the running executions, clean up the job and report the run as cancelled
+ * @param {object} client - Azure Container Apps API client
+ * @param {object} target - Resource group, job name, execution names and keep-job flag
+ * @param {string} reason - Why the executions are cancelled
+ * @returns {Promise<void>}
+ */
+async function cancelExecution(client, target, reason) {
+    const { resourceGroup, jobName, executionNames = [], keepJob } = target;
+
+    core.warning(`Cancelling job execution: ${reason}`);
+    for (const executionName of executionNames) {
+        await stopJobExecution(client, resourceGroup, jobName, executionName);
+    }
+
+    if (!keepJob) {
+        await deleteOwnedJob(client, resourceGroup, jobName, false, executionNames);
+    }
+
+    core.saveState(EXECUTION_STATE, '');
+    core.setOutput('status', 'Cancelled');
+}
+
+/**
+ * Report or stop executions of an existing job, exposing the results as JSON outputs
+ * @param {object} client - Azure Container Apps API client
+ * @param {object} inputs - Action inputs
+ * @param {string} jobName - Job name
+ * @returns {Promise<void>}
+ */
+async function manageExecutions(client, inputs, jobName) {
+    const { action, resourceGroup, executionName, executionFilter, dryRun } = inputs;
+
+    if (action === 'status') {
+        const execution = await getJobExecution(client, resourceGroup, jobName, executionName);
+        core.info(`Execution ${execution.name}: ${execution.status} (started ${execution.startTime || 'n/a'}, ended ${execution.endTime || 'n/a'})`);
+        for (const replica of execution.replicas.replicas) {
+            core.info(`  ${replica.name}: ${replica.outcome}`);
+        }
+
+        core.setOutput('execution', JSON.stringify(execution));
+        core.setOutput('status', execution.status);
+        core.setOutput('succeeded-replicas', String(execution.replicas.succeeded));
+        core.setOutput('failed-replicas', String(execution.replicas.failed));
+        return;
+    }
+
+    if (action === 'list-executions') {
+        const executions = await listJobExecutions(client, resourceGroup, jobName, executionFilter);
+        core.info(`Found ${executions.length} executions of job ${jobName}`);
+        for (const execution of executions) {
+            core.info(`  ${execution.name}: ${execution.status} (started ${execution.startTime || 'n/a'})`);
+        }
+
+        core.setOutput('executions', JSON.stringify(executions));
+        return;
+    }
+
+    // An execution that could not be stopped fails the step and is not reported as stopped
+    const results = await stopJobExecutions(client, resourceGroup, jobName, executionName, dryRun);
+    const failed = dryRun ? [] : results.filter(result => result.status === null || ['Running', 'Processing'].includes(result.status));
+    core.setOutput('executions', JSON.stringify(results.filter(result => !failed.includes(result))));
+    if (failed.length > 0) {
+        core.setFailed(`Failed to stop executions of job ${jobName}: ${failed.map(result => result.name).join(', ')}`);
+    }
+}
+
+/**
+ * Run one execution per shard of the executions input and report every shard and the aggregate result
+ * @param {object} client - Azure Container Apps API client
+ * @param {object} inputs - Action inputs
+ * @param {object} job - Job the executions are started from
+ * @param {string} jobName - Job name
+ * @param {object[]} templates - Execution template of every shard
+ * @param {function(string[]): void} onChange - Called with the running execution names whenever they change
+ * @returns {Promise<string|null>} Failure message, or null when every shard succeeded
+ */
+async function runShards(client, inputs, job, jobName, templates, onChange) {
+    const { subscriptionId, resourceGroup, executions: shards, maxConcurrentExecutions, logAnalyticsWorkspaceId, uploadLogs, successThreshold } = inputs;
+
+    const finalExecutions = await runJobExecutions(client, resourceGroup, jobName, templates, {
+        limit: maxConcurrentExecutions,
+        timeout: getPollingTimeout(job.configuration),
+        onChange
+    });
+
+    const results = [];
+    for (const [index, execution] of finalExecutions.entries()) {
+        const { replicaSummary } = execution;
+        const mainContainer = (execution.properties?.template?.containers || [])
+            .find(container => container.name === MAIN_CONTAINER_NAME);
+        let exitCode = mainContainer?.exitCode || 0;
+
+        let failureReason = null;
+        if (execution.error) {
+            failureReason = 'StartFailed';
+        } else if (execution.timedOut) {
+            failureReason = 'Timeout';
+        } else if (execution.status === 'Stopped') {
+            failureReason = 'Stopped';
+        } else if (execution.status === 'Failed' || exitCode !== 0 || replicaSummary.failed > 0) {
+            const diagnosis = await diagnoseExecution(client, resourceGroup, jobName, execution, logAnalyticsWorkspaceId);
+            exitCode = exitCode || diagnosis.exitCode || 0;
+            failureReason = diagnosis.reason;
+        }
+
+        if (exitCode === 0 && execution.status !== 'Succeeded') {
+            exitCode = 1;
+        }
+
+        const finished = !execution.error && !execution.timedOut;
+        const succeeded = successThreshold
+            ? finished && meetsSuccessThreshold(replicaSummary, successThreshold)
+            : execution.status === 'Succeeded' && exitCode === 0 && replicaSummary.failed === 0;
+
+        results.push({
+            shard: shards[index].name,
+            executionName: execution.name,
+            status: FINAL_EXECUTION_STATUSES[execution.status] ?? execution.status,
+            exitCode,
+            succeeded,
+            failureReason,
+            succeededReplicas: replicaSummary.succeeded,
+            failedReplicas: replicaSummary.failed,
+            startTime: execution.startTime,
+            endTime: execution.endTime
+        });
+
+        // Logs are dumped per execution once all of them finished, so they are not interleaved
+        if (execution.name && logAnalyticsWorkspaceId) {
+            core.startGroup(`Logs: ${shards[index].name} (${execution.name})`);
+            await dumpJobLogs(logAnalyticsWorkspaceId, jobName, execution);
+            core.endGroup();
+
+            if (uploadLogs) {
+                await uploadExecutionLogs(logAnalyticsWorkspaceId, jobName, execution);
+            }
+        }
+    }
+
+    const failed = results.filter(result => !result.succeeded);
+
+    core.info('=== Executions Completed ===');
+    for (const result of results) {
+        const reason = result.failureReason ? ` (${result.failureReason})` : '';
+        core.info(`  ${result.shard}: ${result.executionName || 'not started'} ${result.status}, exit code ${result.exitCode}${reason}`);
+    }
+    core.info(`${results.length - failed.length} of ${results.length} executions succeeded`);
+
+    core.setOutput('executions', JSON.stringify(results));
+    core.setOutput('status', failed.length === 0 ? 'Succeeded' : 'Failed');
+    core.setOutput('succeeded-replicas', String(results.reduce((sum, result) => sum + result.succeededReplicas, 0)));
+    core.setOutput('failed-replicas', String(results.reduce((sum, result) => sum + result.failedReplicas, 0)));
+
+    await writeShardSummary({
+        resourceId: getJobResourceId(subscriptionId, resourceGroup, jobName),
+        jobName,
+        shards: results
+    });
+
+    return failed.length > 0
+        ? `${failed.length} of ${results.length} executions failed: ${failed.map(result => result.shard).join(', ')}`
+        : null;
+}
 
 /**
  * Main function
@@ -14,8 +203,21 @@ async function run() {
     let resourceGroup = null;
     let keepJob = null;
     let dryRun = false;
+    let executionNames = [];
+    let cancelling = false;
     let status = null;
     let exitCode = 0;
+    let failureMessage = null;
+
+    // The runner sends SIGINT and then SIGTERM when the workflow is cancelled
+    const onSignal = async (signal) => {
+        if (cancelling) {
+            return;
+        }
+        cancelling = true;
+        await cancelExecution(client, { resourceGroup, jobName, executionNames, keepJob }, `received ${signal}`);
+        process.exit(1);
+    };
     
     try {
         // Get inputs
@@ -27,13 +229,20 @@ async function run() {
             environmentName,
             timeout,
             logAnalyticsWorkspaceId,
+            streamLogs,
+            uploadLogs,
             action,
+            failOnDrift,
+            concurrency,
+            concurrencyTimeout,
+            successThreshold,
             containerConfig
         } = inputs;
 
         jobName = inputs.jobName || generateJobName('gh-job');
         resourceGroup = inputs.resourceGroup;
-        keepJob = inputs.keepJob;
+        // Only a job created by 'run' is deleted; the other actions never delete a job on failure
+        keepJob = inputs.keepJob || action !== 'run';
         dryRun = inputs.dryRun;
         
         core.info('=== Azure Container App Job Configuration ===');
@@ -41,81 +250,264 @@ async function run() {
         core.info(`Resource Group: ${resourceGroup}`);
         core.info(`Environment: ${environmentName}`);
         core.info(`Job Name: ${jobName}`);
-        core.info(`Image: ${containerConfig.image}`);
+        core.info(`Image: ${containerConfig.image || 'from job definition'}`);
         core.info(`Command: ${containerConfig.command ? containerConfig.command.join(' ') : 'default'}`);
-        core.info(`Timeout: ${timeout}s`);
+        core.info(`Args: ${containerConfig.args ? JSON.stringify(containerConfig.args) : 'default'}`);
+        core.info(`Trigger: ${containerConfig.triggerType || 'default'}`);
+        core.info(`Replica Timeout: ${timeout ? `${timeout}s` : 'default'}`);
+        core.info(`Parallelism: ${containerConfig.parallelism ?? 'default'} (completions: ${containerConfig.replicaCompletionCount ?? 'default'})`);
+        core.info(`Probes: ${containerConfig.containerOptions?.probes?.length ? containerConfig.containerOptions.probes.map(describeProbe).join(', ') : 'default'}`);
         core.info(`Run type: ${action} ${dryRun ? '[Dry Run]' : ''}`);
+        if (containerConfig.jobDefinition) {
+            core.info('Job definition file: merged under the action inputs');
+        }
+        if (inputs.executions.length > 0) {
+            core.info(`Executions: ${inputs.executions.length} (at most ${inputs.maxConcurrentExecutions} at a time)`);
+        }
 
-        // Authenticate with Azure
-        core.info('Authenticating with Azure...');
-        const credential = new DefaultAzureCredential();
-        client = new ContainerAppsAPIClient(credential, subscriptionId);
+        if (action === 'export') {
+            // The export is rendered from the inputs alone, so it needs no access to Azure
+            const job = buildJobConfig(subscriptionId, resourceGroup, environmentName, null, containerConfig);
+            const file = await exportJob(jobName, job, {
+                format: inputs.exportFormat,
+                resourceGroup,
+                filePath: inputs.exportPath,
+                upload: inputs.uploadExport
+            });
+            core.setOutput('job-name', jobName);
+            core.setOutput('export-file', file);
+            return;
+        }
+
+        // Authenticate with Azure; every Azure client of this run shares the credential
+        core.info(`Authenticating with Azure (${inputs.auth.authType}, ${inputs.auth.cloud} cloud)...`);
+        configureAuth(inputs.auth);
+        client = createContainerAppsClient(subscriptionId);
 
         if (action === 'delete') {
             await deleteJob(client, resourceGroup, jobName, dryRun);
             return;
         }
 
-        // Create job
-        await createJob(client, resourceGroup, environmentName, jobName, containerConfig, dryRun);
-        
-        // Set output for job name
-        core.setOutput('job-name', jobName);
+        if (action === 'cleanup') {
+            const deleted = await cleanupJobs(client, resourceGroup, environmentName, inputs.maxAgeHours, dryRun);
+            core.setOutput('deleted-jobs', JSON.stringify(deleted));
+            return;
+        }
 
-        if (action === 'create') {
-            core.info('Job created successfully.');
+        if (['status', 'list-executions', 'stop'].includes(action)) {
+            await manageExecutions(client, inputs, jobName);
             return;
         }
 
-        if (action === 'run' && dryRun) {
+        let job;
+        let executionTemplate;
+        if (action === 'start') {
+            job = await getExistingJob(client, resourceGroup, jobName);
+            if (!job) {
+                throw new Error(`Job ${jobName} does not exist. Use action 'create' to create it first.`);
+            }
+            core.setOutput('job-name', jobName);
+
+            // Image, command, args, env and resources inputs only apply to this execution
+            executionTemplate = buildExecutionTemplate(job.template, containerConfig);
+            if (executionTemplate) {
+                core.info('Execution overrides:');
+                core.info(JSON.stringify(executionTemplate, null, 2));
+            }
+        } else {
+            // A named job may be in use by another workflow run
+            if (inputs.jobName && concurrency !== 'ignore' && !dryRun) {
+                await guardConcurrency(client, resourceGroup, jobName, concurrency, concurrencyTimeout);
+            }
+
+            // Create or update the job, skipping the update when it has not drifted
+            const result = await createJob(client, resourceGroup, environmentName, jobName, containerConfig, dryRun, {
+                requireExisting: action === 'update',
+                failOnDrift
+            });
+            job = result.job;
+
+            // Set output for job name
+            core.setOutput('job-name', jobName);
+            core.setOutput('changed', String(result.changed));
+
+            if (action === 'create' || action === 'update') {
+                if (dryRun) {
+                    await writeDryRunSummary(jobName, redactJobConfig(job));
+                }
+                core.info(result.changed ? `Job ${action}d successfully.` : 'Job is already up to date.');
+                return;
+            }
+        }
+
+        // Every shard of a fan-out run gets its own execution template
+        const shardTemplates = inputs.executions.length > 0
+            ? buildShardTemplates(job.template, inputs.executions, action === 'start' ? containerConfig : {})
+            : null;
+
+        if (dryRun) {
             core.info('Dry run mode enabled, skipping job execution');
+            let payload = action === 'start' ? { template: executionTemplate ?? null } : redactJobConfig(job);
+            if (shardTemplates) {
+                payload = action === 'start' ? { executions: shardTemplates } : { ...payload, executions: shardTemplates };
+            }
+            await writeDryRunSummary(jobName, payload);
             return;
 
-        } else if (action === 'run') {
+        } else if (shardTemplates) {
+            // Remember the running executions so a cancelled run can stop them, here or in the post step
+            const onChange = (names) => {
+                executionNames = names;
+                core.saveState(EXECUTION_STATE, JSON.stringify({ subscriptionId, resourceGroup, jobName, executionNames, keepJob }));
+            };
+            process.on('SIGINT', onSignal);
+            process.on('SIGTERM', onSignal);
+
+            failureMessage = await runShards(client, inputs, job, jobName, shardTemplates, onChange);
+
+            process.off('SIGINT', onSignal);
+            process.off('SIGTERM', onSignal);
+            core.saveState(EXECUTION_STATE, '');
+
+        } else {
             // Start job execution
-            const execution = await startJobExecution(client, resourceGroup, jobName);
+            const execution = await startJobExecution(client, resourceGroup, jobName, executionTemplate);
             const executionName = execution.name;
+            executionNames = [executionName];
 
             // Set output for execution name
             core.setOutput('execution-name', executionName);
 
-            // Poll for completion
-            const finalExecution = await pollJobExecution(client, resourceGroup, jobName, executionName, timeout);
+            // Remember the execution so a cancelled run can stop it, here or in the post step
+            core.saveState(EXECUTION_STATE, JSON.stringify({ subscriptionId, resourceGroup, jobName, executionNames, keepJob }));
+            process.on('SIGINT', onSignal);
+            process.on('SIGTERM', onSignal);
+
+            // Stream logs while polling when a workspace is available
+            const logStream = streamLogs && logAnalyticsWorkspaceId
+                ? createLogStream(logAnalyticsWorkspaceId, jobName, executionName)
+                : null;
+
+            // Poll for completion, allowing for every replica wave and retry
+            const pollTimeout = getPollingTimeout(job.configuration);
+            const finalExecution = await pollJobExecution(client, resourceGroup, jobName, executionName, pollTimeout, logStream?.poll);
+
+            process.off('SIGINT', onSignal);
+            process.off('SIGTERM', onSignal);
+            core.saveState(EXECUTION_STATE, '');
 
-            // Check execution status
-            status = finalExecution.status;
-            exitCode = finalExecution.properties?.template?.containers?.[0]?.exitCode || 0;
+            // Check execution status; a Stopped execution is reported as Cancelled and a Degraded one as Failed
+            status = FINAL_EXECUTION_STATUSES[finalExecution.status];
+            const mainContainer = (finalExecution.properties?.template?.containers || [])
+                .find(container => container.name === MAIN_CONTAINER_NAME);
+            exitCode = mainContainer?.exitCode || 0;
 
-            if (exitCode === 0 && status === 'Failed') {
+            const { replicaSummary } = finalExecution;
+
+            // The execution seldom reports an exit code, so failures are diagnosed from replica states and system events
+            let diagnosis = null;
+            if (status !== 'Cancelled' && (status === 'Failed' || exitCode !== 0 || replicaSummary.failed > 0)) {
+                diagnosis = await diagnoseExecution(client, resourceGroup, jobName, finalExecution, logAnalyticsWorkspaceId);
+                exitCode = exitCode || diagnosis.exitCode || 0;
+            }
+
+            if (exitCode === 0 && status !== 'Succeeded') {
                 exitCode = 1;
             }
 
             core.info(`=== Job Completed ===`);
             core.info(`Status: ${status}`);
             core.info(`Exit Code: ${exitCode}`);
+            core.setOutput('status', status);
+            core.info(`Replicas: ${replicaSummary.succeeded} succeeded, ${replicaSummary.failed} failed (of ${replicaSummary.total})`);
+            for (const replica of replicaSummary.replicas) {
+                core.info(`  ${replica.name}: ${replica.outcome}`);
+            }
+
+            core.setOutput('succeeded-replicas', String(replicaSummary.succeeded));
+            core.setOutput('failed-replicas', String(replicaSummary.failed));
+
+            if (status === 'Cancelled') {
+                failureMessage = `Job execution ${executionName} was stopped before it finished`;
+                core.setOutput('failure-reason', 'Stopped');
+            } else if (successThreshold) {
+                if (!meetsSuccessThreshold(replicaSummary, successThreshold)) {
+                    failureMessage = `Job execution failed: ${replicaSummary.succeeded} of ${replicaSummary.total} replicas succeeded, below the success threshold`;
+                } else if (status === 'Failed' || exitCode !== 0) {
+                    core.warning(`Job execution reported ${status} but the success threshold was met`);
+                }
+            } else if (status === 'Failed' || exitCode !== 0 || replicaSummary.failed > 0) {
+                failureMessage = `Job execution failed with exit code: ${exitCode}`;
+            }
 
-            // Dump logs from Log Analytics if workspace ID is provided
-            await dumpJobLogs(logAnalyticsWorkspaceId, jobName, executionName);
+            if (diagnosis) {
+                const report = [
+                    `${diagnosis.reason}: ${diagnosis.description}`,
+                    diagnosis.evidence,
+                    `Exit code: ${exitCode}, restarts: ${diagnosis.restartCount}`
+                ].filter(Boolean).join('\n');
+                const annotate = failureMessage ? core.error : core.warning;
+                annotate(report, { title: 'Job execution failed' });
+                core.setOutput('failure-reason', diagnosis.reason);
+
+                if (failureMessage) {
+                    failureMessage += ` (${diagnosis.reason})`;
+                }
+            }
+
+            // Print the remaining streamed logs, or dump logs from Log Analytics if workspace ID is provided
+            const logLines = logStream
+                ? await logStream.drain()
+                : await dumpJobLogs(logAnalyticsWorkspaceId, jobName, finalExecution);
+            if (uploadLogs) {
+                await uploadExecutionLogs(logAnalyticsWorkspaceId, jobName, finalExecution);
+            }
+
+            // The execution template reflects per-execution overrides, the job template is the fallback
+            const containers = finalExecution.template?.containers || job.template?.containers || [];
+            await writeExecutionSummary({
+                resourceId: getJobResourceId(subscriptionId, resourceGroup, jobName),
+                jobName,
+                executionName,
+                container: containers.find(container => container.name === MAIN_CONTAINER_NAME) || containers[0],
+                triggerType: job.configuration?.triggerType,
+                startTime: finalExecution.startTime,
+                endTime: finalExecution.endTime,
+                status,
+                exitCode,
+                logLines
+            });
         }
 
         // Delete job
         if (!keepJob) {
-            await deleteJob(client, resourceGroup, jobName, dryRun);
+            await deleteOwnedJob(client, resourceGroup, jobName, dryRun, executionNames);
         }
         
         // Fail if job failed
-        if (status === 'Failed' || exitCode !== 0) {
-            core.setFailed(`Job execution failed with exit code: ${exitCode}`);
+        if (failureMessage) {
+            core.setFailed(failureMessage);
         }
         
     } catch (error) {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+
+        if (error instanceof ExecutionTimeoutError) {
+            await cancelExecution(client, { resourceGroup, jobName, executionNames, keepJob }, error.message);
+            core.setOutput('failure-reason', 'Timeout');
+            core.setFailed(`${error.message}; the execution was cancelled`);
+            return;
+        }
+
         core.error(`Error: ${error.message}`);
         core.error(error.stack);
         
         // Attempt cleanup
         if (client && resourceGroup && jobName && !keepJob) {
             try {
-                await deleteJob(client, resourceGroup, jobName, dryRun);
+                await deleteOwnedJob(client, resourceGroup, jobName, dryRun, executionNames);
             } catch (cleanupError) {
                 core.warning(`Failed to cleanup job: ${cleanupError.message}`);
             }
@@ -125,4 +517,23 @@ async function run() {
     }
 }
 
-export { run };
+/**
+ * Post step: stop an execution that was still running when the main step ended
+ */
+async function cleanup() {
+    const state = core.getState(EXECUTION_STATE);
+    if (!state) {
+        return;
+    }
+
+    try {
+        const { subscriptionId, ...target } = JSON.parse(state);
+        configureAuth(getAuthInputs());
+        const client = createContainerAppsClient(subscriptionId);
+        await cancelExecution(client, target, 'the workflow stopped before the execution finished');
+    } catch (error) {
+        core.warning(`Failed to stop job execution: ${error.message}`);
+    }
+}
+
+export { run, cleanup };
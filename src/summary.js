@@ -0,0 +1,175 @@
+/**
+ * GitHub job summary report for Azure Container App Job executions
+ */
+import * as core from '@actions/core';
+import { getCloud } from './auth.js';
+
+/**
+ * Number of log lines shown in the summary
+ */
+export const LOG_TAIL_LINES = 50;
+
+/**
+ * Build the ARM resource ID of a Container App Job
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} resourceGroup - Resource group name
+ * @param {string} jobName - Job name
+ * @returns {string} Resource ID
+ */
+export function getJobResourceId(subscriptionId, resourceGroup, jobName) {
+    return `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.App/jobs/${jobName}`;
+}
+
+/**
+ * Get the digest of an image reference pinned with @sha256
+ * @param {string} image - Image reference
+ * @returns {string|null} Digest, or null when the image is referenced by tag
+ */
+export function getImageDigest(image) {
+    const match = /@(sha256:[a-f0-9]{64})$/.exec(image || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Format the time between two timestamps, e.g. "1h 2m 5s"
+ * @param {Date|string} start - Start time
+ * @param {Date|string} end - End time
+ * @returns {string} Duration, or "n/a" when either timestamp is missing
+ */
+export function formatDuration(start, end) {
+    if (!start || !end) {
+        return 'n/a';
+    }
+
+    const seconds = Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+    const parts = [];
+    if (seconds >= 3600) {
+        parts.push(`${Math.floor(seconds / 3600)}h`);
+    }
+    if (seconds >= 60) {
+        parts.push(`${Math.floor((seconds % 3600) / 60)}m`);
+    }
+    parts.push(`${seconds % 60}s`);
+    return parts.join(' ');
+}
+
+/**
+ * Escape text for the HTML that makes up the job summary
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+/**
+ * Write the summary and only warn when it cannot be written, e.g. outside of GitHub Actions
+ * @returns {Promise<void>}
+ */
+async function writeSummary() {
+    try {
+        await core.summary.write();
+    } catch (error) {
+        core.warning(`Failed to write job summary: ${error.message}`);
+        core.summary.emptyBuffer();
+    }
+}
+
+/**
+ * Write the job summary report of a finished execution
+ * @param {object} report - Report details
+ * @param {string} report.resourceId - Job resource ID
+ * @param {string} report.jobName - Job name
+ * @param {string} report.executionName - Execution name
+ * @param {object} [report.container] - Main container of the execution, with image and resources
+ * @param {string} [report.triggerType] - Job trigger type
+ * @param {Date|string} [report.startTime] - Execution start time
+ * @param {Date|string} [report.endTime] - Execution end time
+ * @param {string} report.status - Final execution status
+ * @param {number} report.exitCode - Exit code reported for the run
+ * @param {string[]} [report.logLines] - Container log lines
+ * @returns {Promise<void>}
+ */
+export async function writeExecutionSummary(report) {
+    const { resourceId, jobName, executionName, container = {}, triggerType, startTime, endTime, status, exitCode, logLines = [] } = report;
+    const portalUrl = `${getCloud().portal}/#resource${resourceId}/overview`;
+    const icon = status === 'Succeeded' && exitCode === 0 ? '✅' : '❌';
+
+    const rows = [
+        ['Job', `<a href="${escapeHtml(portalUrl)}">${escapeHtml(jobName)}</a>`],
+        ['Execution', escapeHtml(executionName)],
+        ['Image', `<code>${escapeHtml(container.image || 'n/a')}</code>`],
+        ['Digest', `<code>${escapeHtml(getImageDigest(container.image) || 'not pinned')}</code>`],
+        ['CPU', escapeHtml(container.resources?.cpu ?? 'n/a')],
+        ['Memory', escapeHtml(container.resources?.memory ?? 'n/a')],
+        ['Trigger', escapeHtml(triggerType || 'n/a')],
+        ['Started', escapeHtml(startTime ? new Date(startTime).toISOString() : 'n/a')],
+        ['Ended', escapeHtml(endTime ? new Date(endTime).toISOString() : 'n/a')],
+        ['Duration', formatDuration(startTime, endTime)],
+        ['Status', `${icon} ${escapeHtml(status)}`],
+        ['Exit code', escapeHtml(exitCode)]
+    ];
+
+    core.summary
+        .addHeading(`Container App Job: ${escapeHtml(jobName)}`, 2)
+        .addTable(rows);
+
+    if (logLines.length > 0) {
+        const tail = logLines.slice(-LOG_TAIL_LINES);
+        const label = `Container logs (last ${tail.length} of ${logLines.length} lines)`;
+        core.summary.addDetails(label, `<pre><code>${escapeHtml(tail.join('\n'))}</code></pre>`);
+    }
+
+    await writeSummary();
+}
+
+/**
+ * Write the job summary report of a fan-out run, with one row per shard
+ * @param {object} report - Report details
+ * @param {string} report.resourceId - Job resource ID
+ * @param {string} report.jobName - Job name
+ * @param {object[]} report.shards - Shard results with shard, executionName, status, exitCode, succeeded, startTime, endTime and failureReason
+ * @returns {Promise<void>}
+ */
+export async function writeShardSummary(report) {
+    const { resourceId, jobName, shards } = report;
+    const portalUrl = `${getCloud().portal}/#resource${resourceId}/overview`;
+    const succeeded = shards.filter(shard => shard.succeeded).length;
+
+    const header = ['Shard', 'Execution', 'Status', 'Exit code', 'Duration', 'Failure reason']
+        .map(data => ({ data, header: true }));
+    const rows = shards.map(shard => [
+        escapeHtml(shard.shard),
+        escapeHtml(shard.executionName || 'n/a'),
+        `${shard.succeeded ? '✅' : '❌'} ${escapeHtml(shard.status)}`,
+        escapeHtml(shard.exitCode),
+        formatDuration(shard.startTime, shard.endTime),
+        escapeHtml(shard.failureReason || '')
+    ]);
+
+    core.summary
+        .addHeading(`Container App Job: ${escapeHtml(jobName)}`, 2)
+        .addRaw(`<a href="${escapeHtml(portalUrl)}">${escapeHtml(jobName)}</a>: ${succeeded} of ${shards.length} executions succeeded`, true)
+        .addTable([header, ...rows]);
+
+    await writeSummary();
+}
+
+/**
+ * Write the job summary report of a dry run
+ * @param {string} jobName - Job name
+ * @param {object} payload - Payload that would be sent to Azure, with secrets already redacted
+ * @returns {Promise<void>}
+ */
+export async function writeDryRunSummary(jobName, payload) {
+    core.summary
+        .addHeading(`Container App Job: ${escapeHtml(jobName)} [Dry Run]`, 2)
+        .addRaw('Nothing was sent to Azure. The rendered payload is shown below with secret values redacted.', true)
+        .addRaw(`<pre lang="json"><code>${escapeHtml(JSON.stringify(payload, null, 2))}</code></pre>`, true);
+
+    await writeSummary();
+}
@@ -1,7 +1,18 @@
 import assert from 'node:assert';
-import { describe, it, beforeEach, afterEach } from 'node:test';
-import { sleep, generateJobName, parseCommand, normalizeAzureLocation } from './utils.js';
-import { parseJsonInput, getInput } from './input.js';
+import * as path from 'node:path';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { sleep, generateJobName, parseCommand, normalizeAzureLocation, summarizeReplicas, meetsSuccessThreshold, deepMerge, diffValues, formatChange, describeExecution, filterExecutions, parseWorkflowCommand, toLogRecords, diagnoseFailure, createLogStream } from './utils.js';
+import { getInputs, validateInputs, validateCronExpression, parseJsonInput, getInput, parseIntegerInput, parseSuccessThreshold, parseStructuredInput, loadJobDefinition, parseExecutions } from './input.js';
+import { buildJobConfig, buildEventScale, buildExtraContainers, buildVolumes, getPollingTimeout, buildSecrets, redactJobConfig, diffJobConfig, buildExecutionTemplate, buildShardTemplates, getRunTags, isRunOwner, buildContainerOptions, describeProbe } from './config.js';
+import { runJobExecutions, guardConcurrency, deleteOwnedJob } from './job.js';
+import { renderBicep, renderArmTemplate, renderAzCliScript } from './export.js';
+import { formatDuration, getImageDigest, writeExecutionSummary } from './summary.js';
+import { configureAuth, resolveCloudName } from './auth.js';
+import { createContainerAppsClient, setClientFactory } from './clients.js';
+import { createFakeAzure } from './fake-azure.js';
+import { run, cleanup } from './main.js';
 
 // Helper to set INPUT_ env var name mapping like GitHub Actions
 function setInputEnv(inputName, value) {
@@ -9,6 +20,34 @@ function setInputEnv(inputName, value) {
     process.env[envName] = value;
 }
 
+// Read the outputs written to a GITHUB_OUTPUT file, the last value of every output wins
+function readOutputs(file) {
+    const outputs = {};
+    const pattern = /^(.+?)<<(ghadelimiter_[^\n]+)\n([\s\S]*?)\n\2$/gm;
+    for (const [, name, , value] of readFileSync(file, 'utf8').matchAll(pattern)) {
+        outputs[name] = value;
+    }
+    return outputs;
+}
+
+// Run an action with mocked timers, moving the clock forward until it settles so polling does not really wait
+async function runWithFakeTime(action) {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-15T10:00:00Z') });
+    try {
+        let settled = false;
+        const promise = action().finally(() => {
+            settled = true;
+        });
+        while (!settled) {
+            await new Promise(resolve => setImmediate(resolve));
+            mock.timers.tick(5000);
+        }
+        return await promise;
+    } finally {
+        mock.timers.reset();
+    }
+}
+
 describe('main', () => {
     const savedEnv = { ...process.env };
 
@@ -57,10 +96,23 @@ describe('main', () => {
         });
 
         it('parseCommand handles complex whitespace', () => {
-            assert.deepStrictEqual(parseCommand('  echo   "hello world"  '), ['echo', '"hello', 'world"']);
+            assert.deepStrictEqual(parseCommand('  echo   "hello world"  '), ['echo', 'hello world']);
             assert.deepStrictEqual(parseCommand('\tcmd\narg1  arg2'), ['cmd', 'arg1', 'arg2']);
         });
 
+        it('parseCommand handles quotes and escapes like a POSIX shell', () => {
+            assert.deepStrictEqual(parseCommand(`sh -c 'echo $HOME && ls'`), ['sh', '-c', 'echo $HOME && ls']);
+            assert.deepStrictEqual(parseCommand('echo "say \\"hi\\"" a\\ b'), ['echo', 'say "hi"', 'a b']);
+            assert.deepStrictEqual(parseCommand('run --flag "" x"y"z'), ['run', '--flag', '', 'xyz']);
+            assert.deepStrictEqual(parseCommand('python app.py \\\n  --verbose'), ['python', 'app.py', '--verbose']);
+            assert.throws(() => parseCommand('echo "unterminated'), /Unterminated double quote/);
+        });
+
+        it('parseCommand accepts a JSON array', () => {
+            assert.deepStrictEqual(parseCommand('["echo", "hello world"]'), ['echo', 'hello world']);
+            assert.throws(() => parseCommand('[1, 2]'), /array of strings/);
+        });
+
         it('parseJsonInput returns empty object for missing or empty input', () => {
             // ensure no env var set
             assert.deepStrictEqual(parseJsonInput('environment-variables'), {});
@@ -92,6 +144,716 @@ describe('main', () => {
             assert.strictEqual(normalizeAzureLocation('West Europe'), 'westeurope');
             assert.strictEqual(normalizeAzureLocation(null), 'eastus');
         });
+
+        it('summarizeReplicas counts replica outcomes', () => {
+            const summary = summarizeReplicas([
+                { name: 'r1', containers: [{ name: 'main', runningState: 'Terminated', runningStateDetails: 'Completed' }] },
+                { name: 'r2', containers: [{ name: 'main', runningState: 'Terminated', runningStateDetails: 'Error: exit code 2' }] },
+                { name: 'r3', containers: [{ name: 'main', runningState: 'Running' }] }
+            ], 'Running');
+            assert.strictEqual(summary.total, 3);
+            assert.strictEqual(summary.succeeded, 1);
+            assert.strictEqual(summary.failed, 1);
+            assert.strictEqual(summary.running, 1);
+        });
+
+        it('summarizeReplicas falls back to execution status without replicas', () => {
+            assert.deepStrictEqual(summarizeReplicas([], 'Failed'), { total: 1, running: 0, succeeded: 0, failed: 1, replicas: [] });
+            assert.strictEqual(summarizeReplicas([], 'Running').total, 0);
+            assert.strictEqual(summarizeReplicas([{ name: 'r1', containers: [{ name: 'main', runningState: 'Running' }] }], 'Stopped').failed, 1);
+            assert.strictEqual(summarizeReplicas([], 'Degraded').failed, 1);
+        });
+
+        it('filterExecutions filters by status and age, newest first', () => {
+            const now = Date.parse('2024-05-01T12:00:00Z');
+            const executions = [
+                { name: 'old', status: 'Failed', startTime: new Date('2024-04-28T12:00:00Z') },
+                { name: 'recent', status: 'Failed', startTime: new Date('2024-05-01T10:00:00Z') },
+                { name: 'newest', status: 'Succeeded', startTime: new Date('2024-05-01T11:00:00Z') }
+            ];
+
+            assert.deepStrictEqual(filterExecutions(executions, { now }).map(e => e.name), ['newest', 'recent', 'old']);
+            assert.deepStrictEqual(filterExecutions(executions, { statuses: ['failed'], maxAgeHours: 24, now }).map(e => e.name), ['recent']);
+            assert.deepStrictEqual(describeExecution(executions[1]), {
+                name: 'recent',
+                status: 'Failed',
+                startTime: '2024-05-01T10:00:00.000Z',
+                endTime: null
+            });
+        });
+
+        it('configureAuth points the clients at the selected cloud', () => {
+            assert.strictEqual(resolveCloudName('AzureChinaCloud'), 'china');
+            assert.strictEqual(resolveCloudName(''), 'public');
+            assert.strictEqual(resolveCloudName('mars'), undefined);
+
+            configureAuth({ authType: 'service-principal', tenantId: 'tenant', clientId: 'client', clientSecret: 'secret', cloud: 'usgovernment' });
+            try {
+                assert.strictEqual(createContainerAppsClient('sub').$host, 'https://management.usgovcloudapi.net');
+            } finally {
+                configureAuth({ authType: 'default', cloud: 'public' });
+            }
+        });
+
+        it('formatDuration and getImageDigest format summary values', () => {
+            assert.strictEqual(formatDuration('2024-05-01T10:00:00Z', '2024-05-01T11:02:05Z'), '1h 2m 5s');
+            assert.strictEqual(formatDuration('2024-05-01T10:00:00Z', '2024-05-01T10:00:42Z'), '42s');
+            assert.strictEqual(formatDuration(null, '2024-05-01T10:00:42Z'), 'n/a');
+            assert.strictEqual(getImageDigest(`app@sha256:${'a'.repeat(64)}`), `sha256:${'a'.repeat(64)}`);
+            assert.strictEqual(getImageDigest('app:latest'), null);
+        });
+
+        it('writeExecutionSummary writes the report with an escaped log tail', async () => {
+            const dir = mkdtempSync(path.join(tmpdir(), 'summary-test-'));
+            try {
+                const summaryFile = path.join(dir, 'summary.md');
+                writeFileSync(summaryFile, '');
+                process.env.GITHUB_STEP_SUMMARY = summaryFile;
+
+                await writeExecutionSummary({
+                    resourceId: '/subscriptions/sub/resourceGroups/rg/providers/Microsoft.App/jobs/nightly',
+                    jobName: 'nightly',
+                    executionName: 'nightly-abc12',
+                    container: { image: 'app:1', resources: { cpu: 0.5, memory: '1Gi' } },
+                    triggerType: 'Manual',
+                    startTime: '2024-05-01T10:00:00Z',
+                    endTime: '2024-05-01T10:01:30Z',
+                    status: 'Succeeded',
+                    exitCode: 0,
+                    logLines: ['[2024-05-01 10:00:01] <done>']
+                });
+
+                const summary = readFileSync(summaryFile, 'utf8');
+                assert.match(summary, /portal\.azure\.com\/#resource\/subscriptions\/sub\/resourceGroups\/rg\/providers\/Microsoft\.App\/jobs\/nightly/);
+                assert.match(summary, /1m 30s/);
+                assert.match(summary, /&lt;done&gt;/);
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('parseWorkflowCommand recognizes outputs and annotations', () => {
+            assert.deepStrictEqual(parseWorkflowCommand('::set-output name=report::s3://bucket/a%0Ab\n'), { type: 'output', outputs: { report: 's3://bucket/a\nb' } });
+            assert.deepStrictEqual(parseWorkflowCommand('::outputs::{"rows": 42, "table": "sales"}'), { type: 'output', outputs: { rows: 42, table: 'sales' } });
+            assert.deepStrictEqual(parseWorkflowCommand('::warning file=app.py,line=12,title=Slow::took 10%25 longer'), {
+                type: 'warning',
+                message: 'took 10% longer',
+                properties: { file: 'app.py', startLine: 12, title: 'Slow' }
+            });
+            assert.deepStrictEqual(parseWorkflowCommand('::error::boom'), { type: 'error', message: 'boom', properties: {} });
+            assert.strictEqual(parseWorkflowCommand('::outputs::not json'), null);
+            assert.strictEqual(parseWorkflowCommand('::add-mask::secret'), null);
+            assert.strictEqual(parseWorkflowCommand('plain log line'), null);
+        });
+
+        it('createLogStream prints every row once across overlapping polls and drains until quiet', async () => {
+            const dir = mkdtempSync(path.join(tmpdir(), 'stream-test-'));
+            process.env.GITHUB_OUTPUT = path.join(dir, 'output');
+            writeFileSync(process.env.GITHUB_OUTPUT, '');
+
+            // Rows become visible over several polls; the third one arrives late within an already seen ingestion time
+            const rows = [
+                { poll: 1, row: ['2026-01-15T10:00:01Z', 'first', '2026-01-15T10:00:30Z'] },
+                { poll: 1, row: ['2026-01-15T10:00:02Z', 'second', '2026-01-15T10:00:30Z'] },
+                { poll: 2, row: ['2026-01-15T10:00:03Z', '::set-output name=rows::3', '2026-01-15T10:00:30Z'] },
+                { poll: 3, row: ['2026-01-15T10:00:04Z', 'third', '2026-01-15T10:01:00Z'] }
+            ];
+            const queries = [];
+            setClientFactory({
+                logsQuery: () => ({
+                    queryWorkspace: async (workspaceId, query) => {
+                        queries.push(query);
+                        const cursor = /Ingested >= datetime\(([^)]+)\)/.exec(query)?.[1];
+                        const visible = rows
+                            .filter(entry => entry.poll <= queries.length)
+                            .map(entry => entry.row)
+                            .filter(row => !cursor || Date.parse(row[2]) >= Date.parse(cursor));
+                        return { status: 'Success', tables: [{ rows: visible }] };
+                    }
+                })
+            });
+
+            try {
+                const stream = createLogStream('workspace', 'job', 'job-abc');
+                assert.strictEqual(await stream.poll(), 2);
+                assert.strictEqual(await stream.poll(), 1);
+                const lines = await runWithFakeTime(() => stream.drain());
+
+                assert.deepStrictEqual(lines, ['[2026-01-15 10:00:01] first', '[2026-01-15 10:00:02] second', '[2026-01-15 10:00:04] third']);
+                assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).rows, '3');
+                assert.doesNotMatch(queries[0], /Ingested >=/);
+                assert.match(queries[1], /Ingested >= datetime\(2026-01-15T10:00:30\.000Z\)/);
+                assert.match(queries[3], /Ingested >= datetime\(2026-01-15T10:01:00\.000Z\)/);
+                // The drain stops after the new row and two empty polls
+                assert.strictEqual(queries.length, 5);
+            } finally {
+                setClientFactory();
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('toLogRecords keys log rows by column name', () => {
+            const table = {
+                columnDescriptors: [{ name: 'TimeGenerated' }, { name: 'ContainerName_s' }, { name: 'Log_s' }],
+                rows: [[new Date('2024-05-01T10:00:00Z'), 'main', 'started']]
+            };
+            assert.deepStrictEqual(toLogRecords(table), [{ TimeGenerated: new Date('2024-05-01T10:00:00Z'), ContainerName_s: 'main', Log_s: 'started' }]);
+            assert.deepStrictEqual(toLogRecords(undefined), []);
+        });
+
+        it('diagnoseFailure finds the cause in replica states and system events', () => {
+            const oomReplica = {
+                name: 'job-abc-1',
+                containers: [{ name: 'main', runningState: 'Terminated', runningStateDetails: "Container terminated with exit code '137', reason 'OOMKilled'", restartCount: 2 }]
+            };
+            assert.deepStrictEqual(diagnoseFailure([oomReplica]), {
+                reason: 'OutOfMemory',
+                description: 'The container ran out of memory and was killed. Increase the memory input.',
+                exitCode: 137,
+                restartCount: 2,
+                evidence: "main: Container terminated with exit code '137', reason 'OOMKilled'"
+            });
+
+            const pullEvent = { Reason_s: 'ImagePullFailure', Log_s: "Failed to pull image 'app:missing'" };
+            assert.strictEqual(diagnoseFailure([], [pullEvent]).reason, 'ImagePullFailure');
+
+            const exitReplica = { name: 'job-abc-1', containers: [{ name: 'main', runningStateDetails: 'exit code: 3' }] };
+            assert.strictEqual(diagnoseFailure([exitReplica]).reason, 'NonZeroExitCode');
+            assert.strictEqual(diagnoseFailure([exitReplica]).exitCode, 3);
+            assert.strictEqual(diagnoseFailure([]).reason, 'Unknown');
+        });
+
+        it('runJobExecutions starts executions up to the limit and keeps going when one cannot start', async () => {
+            const started = [];
+            let running = 0;
+            let maxRunning = 0;
+            const client = {
+                jobs: {
+                    beginStartAndWait: async (resourceGroup, jobName, { template }) => {
+                        if (template.name === 'broken') {
+                            throw new Error('quota exceeded');
+                        }
+                        started.push(template.name);
+                        running++;
+                        maxRunning = Math.max(maxRunning, running);
+                        return { name: `exec-${template.name}` };
+                    }
+                },
+                jobExecution: async (resourceGroup, jobName, executionName) => {
+                    running--;
+                    return { name: executionName, status: executionName === 'exec-b' ? 'Failed' : 'Succeeded' };
+                },
+                sendRequest: async () => ({ status: 404 })
+            };
+            const changes = [];
+
+            const results = await runJobExecutions(client, 'rg', 'job', [{ name: 'a' }, { name: 'broken' }, { name: 'b' }], {
+                limit: 1,
+                timeout: 60,
+                onChange: names => changes.push(names)
+            });
+
+            assert.deepStrictEqual(started, ['a', 'b']);
+            assert.strictEqual(maxRunning, 1);
+            assert.deepStrictEqual(results.map(result => [result.name, result.status]), [['exec-a', 'Succeeded'], [null, 'Failed'], ['exec-b', 'Failed']]);
+            assert.match(results[1].error, /quota exceeded/);
+            assert.deepStrictEqual(changes.at(-1), []);
+        });
+
+        it('runJobExecutions reports a timed out execution that could not be stopped as unknown', async () => {
+            const stopped = new Set();
+            const client = {
+                jobs: {
+                    beginStartAndWait: async (resourceGroup, jobName, { template }) => ({ name: `exec-${template.name}` }),
+                    beginStopExecutionAndWait: async (resourceGroup, jobName, executionName) => {
+                        if (executionName === 'exec-stuck') {
+                            throw new Error('Forbidden');
+                        }
+                        stopped.add(executionName);
+                    }
+                },
+                jobExecution: async (resourceGroup, jobName, executionName) => ({
+                    name: executionName,
+                    status: stopped.has(executionName) ? 'Stopped' : 'Running'
+                })
+            };
+
+            const results = await runWithFakeTime(() => runJobExecutions(client, 'rg', 'job', [{ name: 'slow' }, { name: 'stuck' }], { limit: 2, timeout: 60 }));
+
+            assert.deepStrictEqual(results.map(result => [result.name, result.status, result.timedOut]), [
+                ['exec-slow', 'Stopped', true],
+                ['exec-stuck', 'Unknown', true]
+            ]);
+        });
+
+        it('guardConcurrency gives up cancelling when a stop fails or the execution keeps running', async () => {
+            let stopError = 'Forbidden';
+            const stops = [];
+            const client = {
+                jobs: {
+                    beginStopExecutionAndWait: async (resourceGroup, jobName, executionName) => {
+                        stops.push(executionName);
+                        if (stopError) {
+                            throw new Error(stopError);
+                        }
+                    }
+                },
+                jobsExecutions: {
+                    list: async function* () {
+                        yield { name: 'other-run', status: 'Running', startTime: '2026-01-15T09:00:00Z' };
+                    }
+                },
+                jobExecution: async (resourceGroup, jobName, executionName) => ({ name: executionName, status: 'Running' })
+            };
+
+            // Settle with the error, runWithFakeTime keeps ticking until the promise settles
+            const cancel = timeout => runWithFakeTime(() => guardConcurrency(client, 'rg', 'job', 'cancel-running', timeout).catch(error => error));
+
+            assert.match((await cancel(600)).message, /Failed to cancel running executions of job job: other-run/);
+            assert.strictEqual(stops.length, 1);
+
+            stopError = null;
+            stops.length = 0;
+            assert.match((await cancel(300)).message, /still had running executions after 300 seconds/);
+            assert.ok(stops.length >= 2 && stops.length <= 3);
+        });
+
+        it('meetsSuccessThreshold supports counts and percentages', () => {
+
+            const summary = { total: 4, succeeded: 3, failed: 1 };
+            assert.strictEqual(meetsSuccessThreshold(summary, { count: 3 }), true);
+            assert.strictEqual(meetsSuccessThreshold(summary, { count: 4 }), false);
+            assert.strictEqual(meetsSuccessThreshold(summary, { percent: 75 }), true);
+            assert.strictEqual(meetsSuccessThreshold(summary, { percent: 100 }), false);
+        });
+    });
+
+    describe('job configuration', () => {
+        it('deepMerge merges named arrays and keeps base arrays for empty overrides', () => {
+            const merged = deepMerge(
+                { env: [{ name: 'A', value: '1' }, { name: 'B', value: '2' }], command: ['old'], args: ['x'], nested: { keep: true, replace: 1 } },
+                { env: [{ name: 'B', value: '3' }, { name: 'C', value: '4' }], command: ['new'], args: [], nested: { replace: 2 } }
+            );
+            assert.deepStrictEqual(merged, {
+                env: [{ name: 'A', value: '1' }, { name: 'B', value: '3' }, { name: 'C', value: '4' }],
+                command: ['new'],
+                args: ['x'],
+                nested: { keep: true, replace: 2 }
+            });
+        });
+
+        it('buildJobConfig merges inputs over the job definition', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img:2', environmentVariables: { MODE: 'fast' }, secrets: {}, cpu: '2',
+                jobDefinition: {
+                    configuration: { triggerType: 'Schedule', replicaTimeout: 3600, scheduleTriggerConfig: { cronExpression: '0 2 * * *' } },
+                    template: { containers: [{ name: 'app', image: 'img:1', resources: { cpu: 1, memory: '4Gi' }, env: [{ name: 'LEVEL', value: 'info' }] }] },
+                    tags: { team: 'data' }
+                }
+            });
+            assert.strictEqual(job.configuration.triggerType, 'Schedule');
+            assert.deepStrictEqual(job.configuration.scheduleTriggerConfig, { cronExpression: '0 2 * * *', parallelism: 1, replicaCompletionCount: 1 });
+            assert.strictEqual(job.configuration.replicaTimeout, 3600);
+            assert.deepStrictEqual(job.tags, { team: 'data' });
+            const [main] = job.template.containers;
+            assert.strictEqual(main.name, 'main');
+            assert.strictEqual(main.image, 'img:2');
+            assert.deepStrictEqual(main.resources, { cpu: 2, memory: '4Gi' });
+            assert.deepStrictEqual(main.env.map(e => e.name), ['LEVEL', 'MODE']);
+        });
+
+        it('buildJobConfig lets an explicit trigger type replace the definition trigger', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                environmentVariables: {}, secrets: {}, triggerType: 'manual',
+                jobDefinition: {
+                    configuration: { triggerType: 'Schedule', scheduleTriggerConfig: { cronExpression: '0 2 * * *' } },
+                    template: { containers: [{ name: 'main', image: 'img' }] }
+                }
+            });
+            assert.strictEqual(job.configuration.triggerType, 'Manual');
+            assert.strictEqual(job.configuration.scheduleTriggerConfig, undefined);
+            assert.deepStrictEqual(job.template.containers[0].resources, { cpu: 0.5, memory: '1Gi' });
+        });
+
+        it('buildJobConfig derives replica timeout and retry limit from the inputs', () => {
+            const base = { image: 'img', environmentVariables: {}, secrets: {} };
+            const defaults = buildJobConfig('sub', 'rg', 'env', 'eastus', base);
+            assert.strictEqual(defaults.configuration.replicaTimeout, 1800);
+            assert.strictEqual(defaults.configuration.replicaRetryLimit, 0);
+
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                ...base, replicaTimeout: 7200, replicaRetryLimit: 2,
+                jobDefinition: { configuration: { replicaTimeout: 600 } }
+            });
+            assert.strictEqual(job.configuration.replicaTimeout, 7200);
+            assert.strictEqual(job.configuration.replicaRetryLimit, 2);
+        });
+
+        it('getPollingTimeout covers retries and replica waves', () => {
+            assert.strictEqual(getPollingTimeout({
+                replicaTimeout: 100, replicaRetryLimit: 0, manualTriggerConfig: { parallelism: 1, replicaCompletionCount: 1 }
+            }), 160);
+            assert.strictEqual(getPollingTimeout({
+                replicaTimeout: 100, replicaRetryLimit: 2, manualTriggerConfig: { parallelism: 2, replicaCompletionCount: 4 }
+            }), 660);
+        });
+
+        it('buildSecrets chooses between inline values and Key Vault references', () => {
+            const secrets = buildSecrets({
+                TOKEN: 'plain-value',
+                API_KEY: 'https://myvault.vault.azure.net/secrets/api-key',
+                DB_PASSWORD: { keyVaultUrl: 'https://myvault.vault.azure.net/secrets/db', identity: 'system' },
+                LITERAL_URL: { value: 'https://myvault.vault.azure.net/not-a-reference' },
+                EMPTY: ''
+            }, 'uami-id');
+            assert.deepStrictEqual(secrets, [
+                { name: 'token', envName: 'TOKEN', value: 'plain-value' },
+                { name: 'api-key', envName: 'API_KEY', keyVaultUrl: 'https://myvault.vault.azure.net/secrets/api-key', identity: 'uami-id' },
+                { name: 'db-password', envName: 'DB_PASSWORD', keyVaultUrl: 'https://myvault.vault.azure.net/secrets/db', identity: 'system' },
+                { name: 'literal-url', envName: 'LITERAL_URL', value: 'https://myvault.vault.azure.net/not-a-reference' }
+            ]);
+        });
+
+        it('buildSecrets rejects Key Vault references without an identity', () => {
+            assert.throws(() => buildSecrets({ API_KEY: 'https://myvault.vault.azure.net/secrets/api-key' }), /secret 'API_KEY' references Key Vault but no identity/);
+            assert.throws(() => buildSecrets({ BOTH: { value: 'x', keyVaultUrl: 'https://myvault.vault.azure.net/secrets/x' } }), /either a value or a keyVaultUrl/);
+        });
+
+        it('buildJobConfig assigns the identities used by secrets', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, userManagedIdentity: 'uami-id',
+                secrets: { DB: { keyVaultUrl: 'https://myvault.vault.azure.net/secrets/db', identity: 'system' } }
+            });
+            assert.deepStrictEqual(job.identity, { type: 'SystemAssigned,UserAssigned', userAssignedIdentities: { 'uami-id': {} } });
+        });
+
+        it('redactJobConfig hides inline secret values only', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, userManagedIdentity: 'uami-id',
+                secrets: { TOKEN: 'plain-value', API_KEY: 'https://myvault.vault.azure.net/secrets/api-key' },
+                registryServer: 'ghcr.io', registryUsername: 'me', registryPassword: 'hunter2'
+            });
+            const redacted = redactJobConfig(job);
+            assert.deepStrictEqual(redacted.configuration.secrets.map(secret => secret.value ?? secret.keyVaultUrl), [
+                '***', 'https://myvault.vault.azure.net/secrets/api-key', '***'
+            ]);
+            assert.strictEqual(job.configuration.secrets[0].value, 'plain-value');
+        });
+
+        it('buildJobConfig requires an image from the inputs or the definition', () => {
+            assert.throws(() => buildJobConfig('sub', 'rg', 'env', 'eastus', { environmentVariables: {}, secrets: {} }), /No image given/);
+        });
+
+        it('buildJobConfig applies parallelism and replica completion count', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, secrets: {}, cpu: '0.5', memory: '1Gi',
+                parallelism: 4, replicaCompletionCount: 3
+            });
+            assert.deepStrictEqual(job.configuration.manualTriggerConfig, { replicaCompletionCount: 3, parallelism: 4 });
+        });
+
+        it('buildJobConfig defaults to a single replica', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, secrets: {}, cpu: '0.5', memory: '1Gi', cronSchedule: '0 * * * *'
+            });
+            assert.strictEqual(job.configuration.scheduleTriggerConfig.parallelism, 1);
+            assert.strictEqual(job.configuration.scheduleTriggerConfig.replicaCompletionCount, 1);
+        });
+
+        it('buildJobConfig builds an event trigger with scale rules', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, secrets: { QUEUE_CONN: 'https://myvault.vault.azure.net/secrets/q' }, cpu: '0.5', memory: '1Gi',
+                userManagedIdentity: 'id', triggerType: 'event',
+                eventTrigger: {
+                    pollingInterval: 60,
+                    rules: [{ name: 'queue', type: 'azure-queue', metadata: { queueLength: 5 }, auth: [{ secretRef: 'QUEUE_CONN', triggerParameter: 'connection' }] }]
+                }
+            });
+            assert.strictEqual(job.configuration.triggerType, 'Event');
+            const { scale } = job.configuration.eventTriggerConfig;
+            assert.strictEqual(scale.pollingInterval, 60);
+            assert.deepStrictEqual(scale.rules[0].metadata, { queueLength: '5' });
+            assert.deepStrictEqual(scale.rules[0].auth, [{ secretRef: 'queue-conn', triggerParameter: 'connection' }]);
+        });
+
+        it('buildJobConfig adds sidecars after the main container and init containers', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, secrets: {}, cpu: '0.5', memory: '1Gi',
+                extraContainers: {
+                    containers: [{ name: 'proxy', image: 'proxy:1', args: '--port 8080', env: { MODE: 'fast' } }],
+                    initContainers: [{ name: 'migrate', image: 'migrate:1', command: ['./migrate', 'up'], resources: { cpu: '0.25', memory: '0.5Gi' } }]
+                }
+            });
+            assert.deepStrictEqual(job.template.containers.map(c => c.name), ['main', 'proxy']);
+            assert.deepStrictEqual(job.template.containers[1].args, ['--port', '8080']);
+            assert.deepStrictEqual(job.template.containers[1].env, [{ name: 'MODE', value: 'fast' }]);
+            assert.deepStrictEqual(job.template.initContainers[0].resources, { cpu: 0.25, memory: '0.5Gi' });
+        });
+
+        it('buildExtraContainers rejects duplicate names and missing images', () => {
+            assert.throws(() => buildExtraContainers({
+                containers: [{ name: 'main', image: 'x' }],
+                initContainers: [{ name: 'setup' }]
+            }), (error) => {
+                assert.match(error.message, /containers 'main' uses a name that is already taken/);
+                assert.match(error.message, /initContainers 'setup' must have an image/);
+                return true;
+            });
+        });
+
+        it('buildJobConfig adds volumes and mounts them into the main container', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'img', environmentVariables: {}, secrets: { API_KEY: 'https://myvault.vault.azure.net/secrets/k' }, cpu: '0.5', memory: '1Gi',
+                userManagedIdentity: 'id',
+                volumes: [
+                    { name: 'data', storageType: 'azurefile', storageName: 'shared' },
+                    { name: 'creds', storageType: 'Secret', secrets: [{ secretRef: 'API_KEY', path: 'key.txt' }] }
+                ],
+                volumeMounts: [{ volumeName: 'data', mountPath: '/data' }, { volumeName: 'creds', mountPath: '/secrets' }]
+            });
+            assert.deepStrictEqual(job.template.volumes, [
+                { name: 'data', storageType: 'AzureFile', storageName: 'shared' },
+                { name: 'creds', storageType: 'Secret', secrets: [{ secretRef: 'api-key', path: 'key.txt' }] }
+            ]);
+            assert.strictEqual(job.template.containers[0].volumeMounts.length, 2);
+        });
+
+        it('buildJobConfig adds the probes of container-options to the main container', () => {
+            const containerOptions = buildContainerOptions({
+                probes: [
+                    { type: 'liveness', httpGet: { path: '/healthz', port: 8080, scheme: 'https' }, periodSeconds: 30 },
+                    { type: 'Startup', tcpSocket: { port: 8080 }, failureThreshold: 10 }
+                ]
+            });
+            const config = buildJobConfig('sub', 'rg', 'env', 'eastus', { image: 'app:1', environmentVariables: {}, containerOptions });
+
+            assert.deepStrictEqual(config.template.containers[0].probes, [
+                { type: 'Liveness', httpGet: { path: '/healthz', port: 8080, scheme: 'HTTPS' }, periodSeconds: 30 },
+                { type: 'Startup', tcpSocket: { port: 8080 }, failureThreshold: 10 }
+            ]);
+            assert.deepStrictEqual(containerOptions.probes.map(describeProbe), ['liveness HTTPS GET /healthz on port 8080 every 30s', 'startup TCP port 8080']);
+            assert.deepStrictEqual(buildContainerOptions({}), {});
+        });
+
+        it('buildContainerOptions reports every invalid or unsupported setting', () => {
+            assert.throws(() => buildContainerOptions({
+                workingDir: '/app',
+                ephemeralStorage: '4Gi',
+                probes: [
+                    { type: 'liveness', exec: { command: ['true'] } },
+                    { type: 'readiness', httpGet: { port: 70000 }, tcpSocket: { port: 80 } },
+                    { type: 'startup', tcpSocket: { port: 80 }, periodSeconds: 0, successThreshold: 2 },
+                    { type: 'startup', tcpSocket: { port: 80 } },
+                    { type: 'warmup', tcpSocket: { port: 80 } }
+                ]
+            }), (error) => {
+                assert.match(error.message, /^Invalid container options:/);
+                assert.match(error.message, /workingDir is not supported. Container Apps has no working directory setting/);
+                assert.match(error.message, /ephemeralStorage is not supported/);
+                assert.match(error.message, /probe #1 cannot use exec/);
+                assert.match(error.message, /probe #2 must have exactly one of httpGet or tcpSocket/);
+                assert.match(error.message, /probe #3 periodSeconds must be an integer from 1 to 240/);
+                assert.match(error.message, /probe #3 successThreshold must be 1 for startup probes/);
+                assert.match(error.message, /only one startup probe is allowed/);
+                assert.match(error.message, /probe #5 must have a type of liveness, readiness, startup/);
+                return true;
+            });
+        });
+
+        it('buildVolumes rejects mounts of undeclared volumes', () => {
+            assert.throws(() => buildVolumes(
+                [{ name: 'scratch', storageType: 'EmptyDir' }, { name: 'files', storageType: 'AzureFile' }],
+                [{ volumeName: 'scrach', mountPath: '/tmp' }, { volumeName: 'scratch', mountPath: 'relative' }],
+                []
+            ), (error) => {
+                assert.match(error.message, /undeclared volume 'scrach'/);
+                assert.match(error.message, /absolute mountPath/);
+                assert.match(error.message, /volume 'files' must reference an environment storage/);
+                return true;
+            });
+        });
+
+        it('buildEventScale reports every invalid setting', () => {
+            assert.throws(() => buildEventScale({
+                minExecutions: 5,
+                maxExecutions: 2,
+                rules: [{ name: 'Bad_Name', auth: [{ secretRef: 'missing', triggerParameter: 'connection' }] }]
+            }, []), (error) => {
+                assert.match(error.message, /min-executions/);
+                assert.match(error.message, /lowercase letters/);
+                assert.match(error.message, /must have a type/);
+                assert.match(error.message, /unknown secret 'missing'/);
+                return true;
+            });
+            assert.throws(() => buildEventScale({}, []), /non-empty JSON array/);
+        });
+
+        it('diffValues only compares desired fields and matches named lists by name', () => {
+            const changes = diffValues(
+                { cpu: 0.5, provisioningState: 'Succeeded', containers: [{ name: 'main', image: 'a' }, { name: 'old', image: 'b' }], env: [] },
+                { cpu: 1, containers: [{ name: 'main', image: 'a' }], env: undefined, args: [] }
+            );
+            assert.deepStrictEqual(changes.map(formatChange), [
+                '~ cpu: 0.5 -> 1',
+                '- containers[old]: {"name":"old","image":"b"}'
+            ]);
+        });
+
+        it('diffValues compares unnamed lists item by item, ignoring defaults and key order', () => {
+            const current = {
+                probes: [{ timeoutSeconds: 1, httpGet: { scheme: 'HTTP', port: 8080, path: '/healthz' }, type: 'Liveness' }],
+                registries: [{ identity: '', server: 'myreg.azurecr.io', username: 'user', passwordSecretRef: 'registry-password' }],
+                args: ['--once']
+            };
+            const desired = {
+                probes: [{ type: 'Liveness', httpGet: { path: '/healthz', port: 8080 } }],
+                registries: [{ server: 'myreg.azurecr.io', username: 'user', passwordSecretRef: 'registry-password' }],
+                args: ['--once']
+            };
+            assert.deepStrictEqual(diffValues(current, desired), []);
+
+            desired.probes[0].httpGet.port = 9090;
+            desired.args = ['--once', '--verbose'];
+            assert.deepStrictEqual(diffValues(current, desired).map(formatChange), [
+                '~ probes[0].httpGet.port: 8080 -> 9090',
+                '~ args: ["--once"] -> ["--once","--verbose"]'
+            ]);
+        });
+
+        it('getRunTags records the workflow run and diffJobConfig ignores it', () => {
+            const env = { GITHUB_REPOSITORY: 'octo/app', GITHUB_RUN_ID: '42', GITHUB_RUN_ATTEMPT: '1', GITHUB_SHA: 'abc123' };
+            const tags = getRunTags(true, env, new Date('2024-05-01T10:00:00Z'));
+            assert.deepStrictEqual(tags, {
+                'github-repository': 'octo/app',
+                'github-run-id': '42',
+                'github-run-attempt': '1',
+                'github-sha': 'abc123',
+                'github-created-at': '2024-05-01T10:00:00.000Z',
+                'github-ephemeral': 'true'
+            });
+
+            const desired = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'myimage:latest',
+                environmentVariables: {},
+                tags: { team: 'data', cost: 12, ...tags }
+            });
+            assert.deepStrictEqual(desired.tags.cost, '12');
+
+            const existing = JSON.parse(JSON.stringify(desired));
+            existing.tags = { team: 'data', cost: '12', 'github-run-id': '41' };
+            assert.deepStrictEqual(diffJobConfig(existing, desired), []);
+        });
+
+        it('isRunOwner matches the run that last created or updated the job', () => {
+            const env = { GITHUB_RUN_ID: '42', GITHUB_RUN_ATTEMPT: '2' };
+            assert.strictEqual(isRunOwner({ 'github-run-id': '42', 'github-run-attempt': '2' }, env), true);
+            assert.strictEqual(isRunOwner({ 'github-run-id': '42', 'github-run-attempt': '1' }, env), false);
+            assert.strictEqual(isRunOwner({ 'github-run-id': '43', 'github-run-attempt': '2' }, env), false);
+            assert.strictEqual(isRunOwner({ team: 'data' }, env), true);
+            assert.strictEqual(isRunOwner(undefined, env), true);
+        });
+
+        it('buildExecutionTemplate overrides the main container and keeps the others', () => {
+            const jobTemplate = {
+                containers: [
+                    { name: 'main', image: 'app:1', env: [{ name: 'MODE', value: 'full' }, { name: 'TOKEN', secretRef: 'token' }], resources: { cpu: 0.5, memory: '1Gi' }, probes: [] },
+                    { name: 'proxy', image: 'proxy:1' }
+                ],
+                initContainers: [{ name: 'migrate', image: 'app:1', command: ['migrate'] }]
+            };
+
+            assert.strictEqual(buildExecutionTemplate(jobTemplate, { environmentVariables: {} }), undefined);
+
+            const template = buildExecutionTemplate(jobTemplate, { image: 'app:2', environmentVariables: { MODE: 'quick' }, memory: '2Gi' });
+            assert.strictEqual(template.containers[0].image, 'app:2');
+            assert.deepStrictEqual(template.containers[0].env, [{ name: 'TOKEN', secretRef: 'token' }, { name: 'MODE', value: 'quick' }]);
+            assert.deepStrictEqual(template.containers[0].resources, { cpu: 0.5, memory: '2Gi' });
+            assert.strictEqual(template.containers[0].probes, undefined);
+            assert.strictEqual(template.containers[1].image, 'proxy:1');
+            assert.deepStrictEqual(template.initContainers[0].command, ['migrate']);
+            assert.strictEqual(jobTemplate.containers[0].image, 'app:1');
+        });
+
+        it('buildShardTemplates applies shard overrides over the shared ones and adds shard variables', () => {
+            const jobTemplate = { containers: [{ name: 'main', image: 'tests:1', command: ['npm', 'test'], env: [{ name: 'CI', value: 'true' }] }] };
+            const shards = [
+                { name: 'unit', environmentVariables: {}, args: ['--suite', 'unit'] },
+                { name: 'e2e', environmentVariables: { SHARD_INDEX: 'last', CI: 'false' } }
+            ];
+
+            const [unit, e2e] = buildShardTemplates(jobTemplate, shards, { args: ['--all'], environmentVariables: { REGION: 'eu' } });
+            assert.deepStrictEqual(unit.containers[0].args, ['--suite', 'unit']);
+            assert.deepStrictEqual(unit.containers[0].env, [
+                { name: 'CI', value: 'true' },
+                { name: 'REGION', value: 'eu' },
+                { name: 'SHARD_INDEX', value: '0' },
+                { name: 'SHARD_COUNT', value: '2' }
+            ]);
+            assert.deepStrictEqual(e2e.containers[0].args, ['--all']);
+            assert.deepStrictEqual(e2e.containers[0].env.find(variable => variable.name === 'SHARD_INDEX'), { name: 'SHARD_INDEX', value: 'last' });
+            assert.deepStrictEqual(e2e.containers[0].env.find(variable => variable.name === 'CI'), { name: 'CI', value: 'false' });
+        });
+
+        it('export renderers turn inline secrets into parameters and drop run tags', () => {
+            const job = buildJobConfig('sub', 'rg', 'env', null, {
+                image: 'myimage:latest',
+                args: ['[literal]'],
+                environmentVariables: {},
+                secrets: { API_KEY: 's3cret', DB: 'https://kv.vault.azure.net/secrets/db' },
+                userManagedIdentity: '/subscriptions/sub/resourceGroups/rg/providers/Microsoft.ManagedIdentity/userAssignedIdentities/id',
+                tags: { team: 'data', 'github-run-id': '1001' }
+            });
+
+            const bicep = renderBicep('nightly', job);
+            assert.match(bicep, /@secure\(\)\n@description\('Value of secret api-key'\)\nparam secretApiKey string/);
+            assert.match(bicep, /value: secretApiKey/);
+            assert.match(bicep, /location: environment\.location/);
+            assert.match(bicep, /keyVaultUrl: 'https:\/\/kv\.vault\.azure\.net\/secrets\/db'/);
+
+            const template = JSON.parse(renderArmTemplate('nightly', job));
+            const [resource] = template.resources;
+            assert.deepStrictEqual(template.parameters.secretApiKey.type, 'securestring');
+            assert.strictEqual(resource.properties.configuration.secrets[0].value, "[parameters('secretApiKey')]");
+            assert.deepStrictEqual(resource.tags, { team: 'data' });
+            assert.deepStrictEqual(resource.properties.template.containers[0].args, ['[[literal]']);
+            assert.match(resource.location, /^\[reference\(resourceId\('Microsoft.App\/managedEnvironments', 'env'\)/);
+
+            const script = renderAzCliScript('nightly', job, 'rg');
+            assert.match(script, /: "\$\{SECRET_API_KEY:\?/);
+            assert.match(script, /--arg secretApiKey "\$SECRET_API_KEY"/);
+            assert.match(script, /"value": \$secretApiKey/);
+            assert.match(script, /--resource-group 'rg'/);
+            for (const output of [bicep, JSON.stringify(template), script]) {
+                assert.doesNotMatch(output, /s3cret|github-run-id/);
+            }
+        });
+
+        it('diffJobConfig ignores casing of locations and resource IDs and always reports inline secrets', () => {
+            const desired = buildJobConfig('sub', 'rg', 'env', 'eastus', {
+                image: 'myimage:latest',
+                userManagedIdentity: '/subscriptions/sub/resourceGroups/rg/providers/Microsoft.ManagedIdentity/userAssignedIdentities/id',
+                environmentVariables: {},
+                secrets: { API_TOKEN: 'inline-value' }
+            });
+            const existing = JSON.parse(JSON.stringify(desired));
+            existing.location = 'East US';
+            existing.provisioningState = 'Succeeded';
+            existing.environmentId = existing.environmentId.toLowerCase();
+            existing.identity.userAssignedIdentities = Object.fromEntries(
+                Object.keys(desired.identity.userAssignedIdentities).map(id => [id.toLowerCase(), { principalId: 'p' }])
+            );
+            existing.configuration.secrets = [{ name: 'api-token' }];
+            const secretChange = { path: 'configuration.secrets[api-token].value', before: '(not returned by Azure)', after: '(inline value)' };
+
+            // Azure does not return the value, so it may have been rotated
+            assert.deepStrictEqual(diffJobConfig(existing, desired), [secretChange]);
+
+            existing.template.containers[0].image = 'myimage:old';
+            assert.deepStrictEqual(diffJobConfig(existing, desired), [
+                { path: 'template.containers[main].image', before: 'myimage:old', after: 'myimage:latest' },
+                secretChange
+            ]);
+        });
     });
 
     describe('input handling', () => {
@@ -107,16 +869,598 @@ describe('main', () => {
         it('getInput returns empty string for missing optional input', () => {
             assert.strictEqual(getInput('missing-optional'), '');
         });
+
+        it('parseStructuredInput accepts JSON and YAML', () => {
+            assert.deepStrictEqual(parseStructuredInput('extra-containers'), {});
+            setInputEnv('extra-containers', '{"containers": []}');
+            assert.deepStrictEqual(parseStructuredInput('extra-containers'), { containers: [] });
+            setInputEnv('extra-containers', 'containers:\n  - name: proxy\n    image: proxy:1\n');
+            assert.deepStrictEqual(parseStructuredInput('extra-containers'), { containers: [{ name: 'proxy', image: 'proxy:1' }] });
+            setInputEnv('extra-containers', 'containers: [unclosed');
+            assert.throws(() => parseStructuredInput('extra-containers'), /Failed to parse extra-containers/);
+        });
+
+        it('loadJobDefinition reads YAML relative to the workspace', () => {
+            const workspace = mkdtempSync(path.join(tmpdir(), 'job-def-test-'));
+            try {
+                writeFileSync(path.join(workspace, 'job.yaml'), 'configuration:\n  replicaTimeout: 60\n');
+                process.env.GITHUB_WORKSPACE = workspace;
+                assert.deepStrictEqual(loadJobDefinition('job.yaml'), { configuration: { replicaTimeout: 60 } });
+                assert.strictEqual(loadJobDefinition(''), undefined);
+                assert.throws(() => loadJobDefinition('missing.yaml'), /Failed to load job-definition-file missing.yaml/);
+            } finally {
+                rmSync(workspace, { recursive: true, force: true });
+            }
+        });
+
+        it('parseIntegerInput returns default and rejects non-positive values', () => {
+            assert.strictEqual(parseIntegerInput('parallelism', 1), 1);
+            setInputEnv('parallelism', '3');
+            assert.strictEqual(parseIntegerInput('parallelism', 1), 3);
+            setInputEnv('parallelism', '0');
+            assert.throws(() => parseIntegerInput('parallelism', 1), /Invalid parallelism/);
+        });
+
+        it('parseSuccessThreshold parses counts and percentages', () => {
+            assert.strictEqual(parseSuccessThreshold(''), null);
+            assert.deepStrictEqual(parseSuccessThreshold('3'), { count: 3 });
+            assert.deepStrictEqual(parseSuccessThreshold('75%'), { percent: 75 });
+            assert.throws(() => parseSuccessThreshold('150%'), /Invalid success-threshold/);
+            assert.throws(() => parseSuccessThreshold('most'), /Invalid success-threshold/);
+        });
+
+        it('parseExecutions normalizes shards and reports every invalid entry', () => {
+            assert.deepStrictEqual(parseExecutions({}), []);
+
+            const shards = parseExecutions([
+                { env: { WORKERS: 4 }, args: '--suite "unit tests"' },
+                { name: 'e2e', command: ['npx', 'playwright', 'test'] }
+            ]);
+            assert.deepStrictEqual(shards, [
+                { name: 'shard-0', environmentVariables: { WORKERS: '4' }, command: undefined, args: ['--suite', 'unit tests'] },
+                { name: 'e2e', environmentVariables: {}, command: ['npx', 'playwright', 'test'], args: undefined }
+            ]);
+
+            assert.throws(() => parseExecutions({ env: {} }), /expected a list/);
+            assert.throws(() => parseExecutions(['unit', { image: 'x', env: { '1bad': 'x' }, args: 5 }]), (error) => {
+                assert.match(error.message, /^Invalid executions:/);
+                assert.match(error.message, /executions\[0\]: expected an object/);
+                assert.match(error.message, /executions\[1\]: unknown image/);
+                assert.match(error.message, /executions\[1\]\.env: invalid environment variable name 1bad/);
+                assert.match(error.message, /executions\[1\]\.args: expected a string or a list of strings/);
+                return true;
+            });
+        });
+
+        it('getInputs only accepts executions for actions that start executions', () => {
+            setInputEnv('subscription-id', 'sub');
+            setInputEnv('resource-group', 'rg');
+            setInputEnv('environment-name', 'env');
+            setInputEnv('action', 'create');
+            setInputEnv('executions', '- args: [a]\n- args: [b]\n');
+            assert.throws(() => getInputs(), /executions cannot be used with action 'create'/);
+            setInputEnv('action', 'run');
+            setInputEnv('max-concurrent-executions', '2');
+            const inputs = getInputs();
+            assert.strictEqual(inputs.executions.length, 2);
+            assert.strictEqual(inputs.maxConcurrentExecutions, 2);
+        });
+
+        it('validateCronExpression accepts standard expressions and explains mistakes', () => {
+            assert.strictEqual(validateCronExpression('0 2 * * *'), null);
+            assert.strictEqual(validateCronExpression('*/15 9-17 1,15 JAN-MAR mon-fri'), null);
+            assert.match(validateCronExpression('0 2 * *'), /Must have 5 fields/);
+            assert.match(validateCronExpression('0 24 * * *'), /hour field '24'/);
+            assert.match(validateCronExpression('*/0 * * * *'), /minute field/);
+        });
+
+        it('validateInputs reports every problem', () => {
+            const errors = validateInputs({
+                jobName: 'My_Job',
+                cronSchedule: '61 * * * *',
+                environmentVariables: { '1BAD': 'x' },
+                secrets: { DB_PASSWORD: 'https://myvault.vault.azure.net/secrets/db' },
+                cpu: '1',
+                registryServer: 'myregistry.azurecr.io',
+                successThreshold: { count: 4 },
+                replicaCompletionCount: 3
+            });
+            assert.strictEqual(errors.length, 7);
+            assert.match(errors[0], /Invalid job-name: My_Job/);
+            assert.match(errors[1], /minute field '61'/);
+            assert.match(errors[2], /Invalid environment variable name: 1BAD/);
+            assert.match(errors[3], /secret 'DB_PASSWORD' references Key Vault but no identity/);
+            assert.match(errors[4], /Invalid cpu\/memory: 1 CPU with 1Gi/);
+            assert.match(errors[5], /registry-server myregistry\.azurecr\.io was given without credentials/);
+            assert.match(errors[6], /Invalid success-threshold: 4 is more than the 3 replicas/);
+
+            // The count of a job definition applies when the inputs do not set one, and a single replica otherwise
+            const definition = { configuration: { manualTriggerConfig: { replicaCompletionCount: 5 } } };
+            assert.deepStrictEqual(validateInputs({ successThreshold: { count: 4 }, jobDefinition: definition }), []);
+            assert.strictEqual(validateInputs({ successThreshold: { count: 2 } }).length, 1);
+            assert.deepStrictEqual(validateInputs({ successThreshold: { count: 2 }, action: 'start' }), []);
+            assert.deepStrictEqual(validateInputs({ successThreshold: { percent: 50 } }), []);
+
+            assert.deepStrictEqual(validateInputs({ jobName: 'nightly-report', cronSchedule: '0 2 * * *', cpu: '1', memory: '2Gi' }), []);
+            assert.deepStrictEqual(validateInputs({ cpu: '2', memory: '16Gi', jobDefinition: { workloadProfileName: 'D4' } }), []);
+        });
+
+        it('getInputs validates the authentication inputs', () => {
+            setInputEnv('subscription-id', 'sub');
+            setInputEnv('resource-group', 'rg');
+            setInputEnv('environment-name', 'env');
+            setInputEnv('action', 'create');
+            setInputEnv('auth-type', 'service-principal');
+            setInputEnv('cloud', 'mars');
+            assert.throws(() => getInputs(), (error) => {
+                assert.match(error.message, /Invalid cloud: mars/);
+                assert.match(error.message, /needs tenant-id and client-id/);
+                assert.match(error.message, /needs client-secret or client-certificate-path/);
+                return true;
+            });
+
+            setInputEnv('tenant-id', 'tenant');
+            setInputEnv('client-id', 'client');
+            setInputEnv('client-secret', 'secret');
+            setInputEnv('cloud', 'AzureUSGovernment');
+            assert.strictEqual(getInputs().auth.authType, 'service-principal');
+        });
+
+        it('getInputs reports all invalid inputs together', () => {
+            setInputEnv('subscription-id', 'sub');
+            setInputEnv('resource-group', 'rg');
+            setInputEnv('environment-name', 'env');
+            setInputEnv('action', 'run');
+            setInputEnv('timeout', 'ten');
+            setInputEnv('job-name', '-bad-');
+            assert.throws(() => getInputs(), (error) => {
+                assert.match(error.message, /^Invalid inputs:/);
+                assert.match(error.message, /Invalid timeout: ten/);
+                assert.match(error.message, /Invalid job-name: -bad-/);
+                return true;
+            });
+        });
+
+        it('getInputs requires job-name and execution-name for execution actions', () => {
+            setInputEnv('subscription-id', 'sub');
+            setInputEnv('resource-group', 'rg');
+            setInputEnv('environment-name', 'env');
+            setInputEnv('action', 'status');
+            assert.throws(() => getInputs(), /job-name/);
+            setInputEnv('job-name', 'nightly');
+            assert.throws(() => getInputs(), /execution-name/);
+            setInputEnv('action', 'list-executions');
+            setInputEnv('execution-status', 'Running, Failed');
+            assert.deepStrictEqual(getInputs().executionFilter, { statuses: ['Running', 'Failed'], maxAgeHours: undefined });
+        });
     });
 
     describe('run function', () => {
-        it('should fail without required inputs', async () => {
-            // This test verifies that the action fails when required inputs are missing
-            // In a real test environment, you would mock the Azure SDK calls
+        let dir;
+        let fake;
+
+        beforeEach(() => {
+            dir = mkdtempSync(path.join(tmpdir(), 'run-test-'));
+            for (const name of ['GITHUB_OUTPUT', 'GITHUB_STATE']) {
+                process.env[name] = path.join(dir, name);
+                writeFileSync(process.env[name], '');
+            }
+            process.env.GITHUB_RUN_ID = '1001';
+            process.env.GITHUB_RUN_ATTEMPT = '1';
+
+            setInputEnv('subscription-id', 'sub');
+            setInputEnv('resource-group', 'rg');
+            setInputEnv('environment-name', 'env');
+            setInputEnv('image', 'myimage:latest');
+            setInputEnv('action', 'run');
+        });
+
+        afterEach(() => {
+            setClientFactory();
+            process.exitCode = undefined;
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        const useFake = (options) => {
+            fake = createFakeAzure(options);
+            setClientFactory(fake.clientFactory);
+        };
+
+        it('fails without required inputs and calls no Azure API', async () => {
+            useFake();
+            delete process.env.INPUT_SUBSCRIPTION_ID;
+            await runWithFakeTime(run);
+            assert.strictEqual(process.exitCode, 1);
+            assert.deepStrictEqual(fake.calls, []);
+        });
+
+        it('creates the job, runs it, collects its logs and outputs, and deletes it', async () => {
+            useFake({ outcomes: [{ polls: 2, logs: ['hello from the job', '::set-output name=result::42'] }] });
+            setInputEnv('log-analytics-workspace-id', 'workspace');
+            setInputEnv('upload-logs', 'true');
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Succeeded');
+            assert.strictEqual(outputs.result, '42');
+            assert.deepStrictEqual(fake.calls.map(([call]) => call), ['createOrUpdate', 'start', 'delete']);
+            assert.strictEqual(fake.jobs.size, 0);
+            assert.deepStrictEqual(fake.artifacts.map(artifact => artifact.name.replace(/-[^-]+$/, '')), ['job-definition', 'logs-' + outputs['job-name']]);
+            assert.match(fake.artifacts[1].files['console.log'], /hello from the job/);
+        });
+
+        it('reports the diagnosed cause of a failed execution and still deletes the job', async () => {
+            useFake({
+                outcomes: [{
+                    status: 'Failed',
+                    replicas: [{ name: 'r0', containers: [{ name: 'main', runningState: 'Terminated', runningStateDetails: 'OOMKilled, exit code 137' }] }]
+                }]
+            });
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.strictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Failed');
+            assert.strictEqual(outputs['failure-reason'], 'OutOfMemory');
+            assert.strictEqual(outputs['failed-replicas'], '1');
+            assert.strictEqual(fake.jobs.size, 0);
+        });
+
+        it('queries the logs of a long execution from its start, not just the last hour', async () => {
+            useFake({ outcomes: [{ polls: 450, logs: ['done'] }] });
+            const timespans = [];
+            setClientFactory({
+                ...fake.clientFactory,
+                logsQuery: () => {
+                    const client = fake.clientFactory.logsQuery();
+                    return {
+                        queryWorkspace: (workspaceId, query, timespan) => {
+                            timespans.push(timespan);
+                            return client.queryWorkspace(workspaceId, query, timespan);
+                        }
+                    };
+                }
+            });
+            setInputEnv('log-analytics-workspace-id', 'workspace');
+            setInputEnv('stream-logs', 'false');
+            setInputEnv('timeout', '7200');
+
+            await runWithFakeTime(run);
+
+            const execution = [...fake.executions.values()][0];
+            assert.ok(Date.parse(execution.endTime) - Date.parse(execution.startTime) > 3600 * 1000);
+            assert.ok(timespans.length > 0);
+            for (const timespan of timespans) {
+                assert.ok(timespan.startTime <= new Date(execution.startTime));
+            }
+        });
+
+        it('stops the execution and deletes the job when the runner sends SIGTERM', async () => {
+            useFake({ outcomes: [{ polls: Infinity }] });
+            const exit = mock.method(process, 'exit', () => {});
+            const listeners = process.listenerCount('SIGTERM');
+
+            try {
+                await runWithFakeTime(async () => {
+                    const running = run();
+                    while (process.listenerCount('SIGTERM') === listeners) {
+                        await new Promise(resolve => setImmediate(resolve));
+                    }
+                    process.emit('SIGTERM', 'SIGTERM');
+                    await running;
+                    while (exit.mock.callCount() === 0) {
+                        await new Promise(resolve => setImmediate(resolve));
+                    }
+                });
+            } finally {
+                exit.mock.restore();
+            }
+
+            const [execution] = fake.executions.values();
+            assert.deepStrictEqual(exit.mock.calls[0].arguments, [1]);
+            assert.strictEqual(execution.status, 'Stopped');
+            assert.deepStrictEqual(fake.calls.slice(0, 4).map(([call]) => call), ['createOrUpdate', 'start', 'stop', 'delete']);
+            assert.strictEqual(fake.jobs.size, 0);
+            assert.strictEqual(process.listenerCount('SIGTERM'), listeners);
+        });
+
+        it('post step stops the saved execution, deletes the job it owns and clears the state', async () => {
+            useFake({ outcomes: [{ polls: Infinity }] });
+            const client = fake.clientFactory.containerApps(null, 'sub');
+            await client.jobs.beginCreateOrUpdateAndWait('rg', 'ephemeral', {
+                tags: getRunTags(true),
+                template: { containers: [{ name: 'main', image: 'myimage:latest' }] }
+            });
+            const { name } = await client.jobs.beginStartAndWait('rg', 'ephemeral', {});
+            process.env.STATE_execution = JSON.stringify({ subscriptionId: 'sub', resourceGroup: 'rg', jobName: 'ephemeral', executionNames: [name], keepJob: false });
+
+            await runWithFakeTime(cleanup);
+
+            assert.deepStrictEqual(fake.calls.slice(1), [['start', name], ['stop', name], ['delete', 'ephemeral']]);
+            assert.strictEqual(fake.executions.get(name).status, 'Stopped');
+            assert.strictEqual(fake.jobs.size, 0);
+            assert.strictEqual(readOutputs(process.env.GITHUB_STATE).execution, '');
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).status, 'Cancelled');
+        });
+
+        it('post step does nothing without a saved execution', async () => {
+            useFake();
+            await runWithFakeTime(cleanup);
+            assert.deepStrictEqual(fake.calls, []);
+        });
+
+        it('ignores container outputs that would replace the outputs of the action', async () => {
+            useFake({ outcomes: [{ status: 'Failed', logs: ['::set-output name=status::Succeeded', '::outputs::{"Failure-Reason": "none", "rows": 3}'] }] });
+            setInputEnv('log-analytics-workspace-id', 'workspace');
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.strictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Failed');
+            assert.strictEqual(outputs['failure-reason'], 'NonZeroExitCode');
+            assert.strictEqual(outputs['Failure-Reason'], undefined);
+            assert.strictEqual(outputs.rows, '3');
+            // Logs are only uploaded with upload-logs
+            assert.ok(!fake.artifacts.some(artifact => artifact.name.startsWith('logs-')));
+        });
+
+        it('stops the execution and deletes the job when it times out', async () => {
+            useFake({ outcomes: [{ polls: Infinity }] });
+            setInputEnv('timeout', '30');
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.strictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Cancelled');
+            assert.strictEqual(outputs['failure-reason'], 'Timeout');
+            assert.deepStrictEqual(fake.calls.map(([call]) => call), ['createOrUpdate', 'start', 'stop', 'delete']);
+            assert.strictEqual([...fake.executions.values()][0].status, 'Stopped');
+        });
+
+        it('stops waiting and reports a cancelled run when the execution is stopped from outside', async () => {
+            useFake({ outcomes: [{ status: 'Stopped', polls: 1 }] });
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.strictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Cancelled');
+            assert.strictEqual(outputs['failure-reason'], 'Stopped');
+            assert.deepStrictEqual(fake.calls.map(([call]) => call), ['createOrUpdate', 'start', 'delete']);
+        });
+
+        it('keeps a created job and only updates it when the configuration or a secret changed', async () => {
+            useFake();
+            setInputEnv('action', 'create');
+            setInputEnv('job-name', 'nightly');
+
+            await runWithFakeTime(run);
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).changed, 'true');
+
+            await runWithFakeTime(run);
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).changed, 'false');
+            assert.deepStrictEqual(fake.calls, [['createOrUpdate', 'nightly']]);
+            assert.ok(fake.jobs.has('nightly'));
+
+            // Azure never returns inline secret values, so a rotated one can only reach Azure by always updating
+            setInputEnv('secrets', '{"API_KEY": "s3cret"}');
+            await runWithFakeTime(run);
+            setInputEnv('secrets', '{"API_KEY": "rotated"}');
+            await runWithFakeTime(run);
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).changed, 'true');
+            assert.strictEqual(fake.calls.length, 3);
+            assert.strictEqual(fake.jobs.get('nightly').configuration.secrets[0].value, 'rotated');
+        });
+
+        it('starts an existing job with one-off overrides and leaves the job unchanged', async () => {
+            useFake();
+            setInputEnv('job-name', 'nightly');
+            setInputEnv('action', 'create');
+            await runWithFakeTime(run);
+
+            setInputEnv('action', 'start');
+            setInputEnv('image', 'myimage:v2');
+            setInputEnv('environment-variables', '{"MODE": "backfill"}');
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            const [execution] = fake.executions.values();
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs['execution-name'], execution.name);
+            assert.strictEqual(outputs.status, 'Succeeded');
+            assert.strictEqual(execution.template.containers[0].image, 'myimage:v2');
+            assert.deepStrictEqual(execution.template.containers[0].env, [{ name: 'MODE', value: 'backfill' }]);
+            assert.deepStrictEqual(fake.calls.map(([call]) => call), ['createOrUpdate', 'start']);
+            assert.strictEqual(fake.jobs.get('nightly').template.containers[0].image, 'myimage:latest');
+        });
+
+        it('hands an unchanged job over to the next run so the previous run does not delete it', async () => {
+            useFake();
+            setInputEnv('action', 'create');
+            setInputEnv('job-name', 'shared');
+            await runWithFakeTime(run);
+
+            process.env.GITHUB_RUN_ID = '1002';
+            await runWithFakeTime(run);
+
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).changed, 'false');
+            assert.deepStrictEqual(fake.calls, [['createOrUpdate', 'shared'], ['update', 'shared']]);
+            assert.strictEqual(fake.jobs.get('shared').tags['github-run-id'], '1002');
+
+            // The first run cleaning up late leaves the job to the second one
+            process.env.GITHUB_RUN_ID = '1001';
+            await deleteOwnedJob(fake.clientFactory.containerApps(null, 'sub'), 'rg', 'shared');
+            assert.ok(fake.jobs.has('shared'));
+        });
+
+        it('leaves a shared job in place while an overlapping run is still executing it', async () => {
+            useFake({ outcomes: [{ polls: Infinity }, {}] });
+            setInputEnv('job-name', 'shared');
+
+            // Run A created the job and is still waiting for its execution
+            setInputEnv('action', 'create');
+            await runWithFakeTime(run);
+            const { name: runningExecution } = await fake.clientFactory.containerApps(null, 'sub').jobs.beginStartAndWait('rg', 'shared', {});
+
+            // Run B takes the unchanged job over, runs it and finishes first
+            process.env.GITHUB_RUN_ID = '1002';
+            setInputEnv('action', 'run');
+            await runWithFakeTime(run);
+
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.strictEqual(readOutputs(process.env.GITHUB_OUTPUT).status, 'Succeeded');
+            assert.ok(fake.jobs.has('shared'));
+            assert.strictEqual(fake.executions.get(runningExecution).status, 'Running');
+            assert.ok(!fake.calls.some(([call]) => call === 'delete'));
+        });
+
+        // Create job nightly with a succeeded, a failed and a running execution
+        const seedExecutions = async (client) => {
+            await client.jobs.beginCreateOrUpdateAndWait('rg', 'nightly', { template: { containers: [{ name: 'main', image: 'myimage:latest' }] } });
+            const names = [];
+            for (let index = 0; index < 3; index++) {
+                names.push((await client.jobs.beginStartAndWait('rg', 'nightly', {})).name);
+                await client.jobExecution('rg', 'nightly', names[index]);
+            }
+            return names;
+        };
+
+        it('status, list-executions and stop report and stop the executions of a job', async () => {
+            useFake({ outcomes: [{}, { status: 'Failed' }, { polls: Infinity }] });
+            const [succeeded, failed, running] = await runWithFakeTime(() => seedExecutions(fake.clientFactory.containerApps(null, 'sub')));
+            setInputEnv('job-name', 'nightly');
+
+            setInputEnv('action', 'status');
+            setInputEnv('execution-name', succeeded);
+            await runWithFakeTime(run);
+            let outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.strictEqual(outputs.status, 'Succeeded');
+            assert.strictEqual(JSON.parse(outputs.execution).name, succeeded);
+            assert.strictEqual(outputs['succeeded-replicas'], '1');
+
+            setInputEnv('action', 'list-executions');
+            setInputEnv('execution-name', '');
+            setInputEnv('execution-status', 'Failed,Running');
+            await runWithFakeTime(run);
+            outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.deepStrictEqual(JSON.parse(outputs.executions).map(execution => execution.name).sort(), [failed, running].sort());
+
+            setInputEnv('action', 'stop');
+            await runWithFakeTime(run);
+            outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.deepStrictEqual(JSON.parse(outputs.executions), [{ name: running, status: 'Stopped' }]);
+            assert.strictEqual(fake.executions.get(running).status, 'Stopped');
+            assert.ok(fake.jobs.has('nightly'));
+        });
+
+        it('stop fails the step and leaves out executions that could not be stopped', async () => {
+            useFake({ outcomes: [{}, { status: 'Failed' }, { polls: Infinity }] });
+            const [, , running] = await runWithFakeTime(() => seedExecutions(fake.clientFactory.containerApps(null, 'sub')));
+            setClientFactory({
+                ...fake.clientFactory,
+                containerApps: (...args) => {
+                    const client = fake.clientFactory.containerApps(...args);
+                    client.jobs.beginStopExecutionAndWait = async () => {
+                        throw new Error('Forbidden');
+                    };
+                    return client;
+                }
+            });
+            setInputEnv('job-name', 'nightly');
+            setInputEnv('action', 'stop');
+
+            await runWithFakeTime(run);
+
+            assert.strictEqual(process.exitCode, 1);
+            assert.deepStrictEqual(JSON.parse(readOutputs(process.env.GITHUB_OUTPUT).executions), []);
+            assert.strictEqual(fake.executions.get(running).status, 'Running');
+        });
+
+        it('cleanup deletes old ephemeral jobs and skips running, failing and recent ones', async () => {
+            useFake({ outcomes: [{ polls: Infinity }] });
+            const client = fake.clientFactory.containerApps(null, 'sub');
+            const environmentId = '/subscriptions/sub/resourceGroups/rg/providers/Microsoft.App/managedEnvironments/env';
+            const addJob = (name, createdAt, ephemeral = 'true') => client.jobs.beginCreateOrUpdateAndWait('rg', name, {
+                environmentId,
+                tags: { 'github-ephemeral': ephemeral, 'github-created-at': createdAt },
+                template: { containers: [{ name: 'main', image: 'myimage:latest' }] }
+            });
+            for (const name of ['orphan', 'busy', 'locked', 'unreadable']) {
+                await addJob(name, '2026-01-14T08:00:00Z');
+            }
+            await addJob('recent', '2026-01-15T09:00:00Z');
+            await addJob('kept', '2026-01-14T08:00:00Z', 'false');
+            await client.jobs.beginStartAndWait('rg', 'busy', {});
+
+            setClientFactory({
+                ...fake.clientFactory,
+                containerApps: (...args) => {
+                    const faulty = fake.clientFactory.containerApps(...args);
+                    const { beginDeleteAndWait } = faulty.jobs;
+                    const { list } = faulty.jobsExecutions;
+                    faulty.jobs.beginDeleteAndWait = async (resourceGroup, jobName) => {
+                        if (jobName === 'locked') {
+                            throw new Error('The resource is locked');
+                        }
+                        return beginDeleteAndWait(resourceGroup, jobName);
+                    };
+                    faulty.jobsExecutions.list = (resourceGroup, jobName) => {
+                        if (jobName === 'unreadable') {
+                            throw new Error('Forbidden');
+                        }
+                        return list(resourceGroup, jobName);
+                    };
+                    return faulty;
+                }
+            });
+            setInputEnv('action', 'cleanup');
+            setInputEnv('max-age-hours', '12');
+
+            await runWithFakeTime(run);
+
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.deepStrictEqual(JSON.parse(readOutputs(process.env.GITHUB_OUTPUT)['deleted-jobs']), ['orphan']);
+            assert.deepStrictEqual([...fake.jobs.keys()].sort(), ['busy', 'kept', 'locked', 'recent', 'unreadable']);
+        });
+
+        it('exports the job to a file without calling Azure', async () => {
+            useFake();
+            process.env.GITHUB_WORKSPACE = dir;
+            setInputEnv('action', 'export');
+            setInputEnv('job-name', 'nightly');
+            setInputEnv('export-format', 'arm');
+            setInputEnv('export-path', 'infra/nightly.json');
+            setInputEnv('upload-export', 'true');
+
+            await runWithFakeTime(run);
+
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            assert.notStrictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs['export-file'], path.join(dir, 'infra', 'nightly.json'));
+            assert.strictEqual(JSON.parse(readFileSync(outputs['export-file'], 'utf8')).resources[0].name, 'nightly');
+            assert.deepStrictEqual(fake.artifacts.map(artifact => Object.keys(artifact.files)), [['nightly.json']]);
+            assert.deepStrictEqual(fake.calls, []);
+        });
+
+        it('fans out executions and fails when one of the shards fails', async () => {
+            useFake({ outcomes: [{}, { status: 'Failed' }] });
+            setInputEnv('executions', '[{"name": "unit"}, {"name": "e2e", "args": ["--e2e"]}]');
+
+            await runWithFakeTime(run);
 
-            // For now, we'll skip this test as it requires Azure credentials
-            // TODO: Add proper mocking for Azure SDK
-            assert.ok(true, 'Test placeholder - implement with proper mocking');
+            const outputs = readOutputs(process.env.GITHUB_OUTPUT);
+            const shards = JSON.parse(outputs.executions);
+            assert.strictEqual(process.exitCode, 1);
+            assert.strictEqual(outputs.status, 'Failed');
+            assert.deepStrictEqual(shards.map(shard => [shard.shard, shard.succeeded]), [['unit', true], ['e2e', false]]);
+            assert.deepStrictEqual([...fake.executions.values()][1].template.containers[0].args, ['--e2e']);
+            assert.strictEqual(fake.jobs.size, 0);
         });
     });
 });
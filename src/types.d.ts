@@ -2,4 +2,11 @@
 declare namespace ActionContainerJob {
     type Job = import('@azure/arm-appcontainers').Job;
     type JobConfiguration = import('@azure/arm-appcontainers').JobConfiguration;
+    type Secret = import('@azure/arm-appcontainers').Secret;
+    type JobScale = import('@azure/arm-appcontainers').JobScale;
+    type Container = import('@azure/arm-appcontainers').Container;
+    type InitContainer = import('@azure/arm-appcontainers').InitContainer;
+    type Volume = import('@azure/arm-appcontainers').Volume;
+    type VolumeMount = import('@azure/arm-appcontainers').VolumeMount;
+    type ContainerAppProbe = import('@azure/arm-appcontainers').ContainerAppProbe;
 }
\ No newline at end of file
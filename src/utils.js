@@ -6,9 +6,7 @@ import * as core from '@actions/core';
 import * as path from 'node:path';
 import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
 import { tmpdir } from 'node:os';
-import { DefaultArtifactClient } from '@actions/artifact';
-import { DefaultAzureCredential } from '@azure/identity';
-import { LogsQueryClient } from '@azure/monitor-query-logs';
+import { createLogsQueryClient, createArtifactClient } from './clients.js';
 
 /**
  * Sleep for a specified number of milliseconds
@@ -31,7 +29,10 @@ export function generateJobName(prefix = 'job') {
 }
 
 /**
- * Parse command string into array
+ * Parse a command string into an array. A JSON array of strings is used as-is; anything
+ * else is split like a POSIX shell would: whitespace separates words, single quotes keep
+ * their content literally, double quotes allow backslash escapes of \, ", $ and `, and a
+ * backslash outside quotes escapes the next character (a backslash-newline joins lines).
  * @param {string} commandString - Command string to parse
  * @returns {string[]|undefined} Parsed command array or undefined
  */
@@ -39,9 +40,193 @@ export function parseCommand(commandString) {
     if (!commandString || commandString.trim() === '') {
         return undefined;
     }
-    
-    // Simple space-delimited parsing
-    return commandString.trim().split(/\s+/);
+
+    const trimmed = commandString.trim();
+    if (trimmed.startsWith('[')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Failed to parse command JSON array: ${error.message}`);
+        }
+        if (!Array.isArray(parsed) || !parsed.every(item => typeof item === 'string')) {
+            throw new Error('Command JSON must be an array of strings');
+        }
+        return parsed;
+    }
+
+    const words = [];
+    let word = '';
+    let inWord = false;
+    let quote = null;
+
+    for (let i = 0; i < trimmed.length; i++) {
+        const char = trimmed[i];
+
+        if (quote === "'") {
+            if (char === "'") {
+                quote = null;
+            } else {
+                word += char;
+            }
+        } else if (quote === '"') {
+            if (char === '"') {
+                quote = null;
+            } else if (char === '\\' && i + 1 < trimmed.length && '\\"$`\n'.includes(trimmed[i + 1])) {
+                i++;
+                if (trimmed[i] !== '\n') {
+                    word += trimmed[i];
+                }
+            } else {
+                word += char;
+            }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            inWord = true;
+        } else if (char === '\\') {
+            i++;
+            if (i < trimmed.length && trimmed[i] !== '\n') {
+                word += trimmed[i];
+                inWord = true;
+            }
+        } else if (/\s/.test(char)) {
+            if (inWord) {
+                words.push(word);
+                word = '';
+                inWord = false;
+            }
+        } else {
+            word += char;
+            inWord = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`Unterminated ${quote === "'" ? 'single' : 'double'} quote in command: ${commandString}`);
+    }
+
+    if (inWord) {
+        words.push(word);
+    }
+
+    return words;
+}
+
+/**
+ * Deep-merge two job definition fragments; values from override take precedence.
+ * Arrays whose items all have a name are merged by name, other arrays are replaced
+ * unless the override array is empty.
+ * @param {*} base - Base value
+ * @param {*} override - Overriding value
+ * @returns {*} Merged value
+ */
+export function deepMerge(base, override) {
+    if (override === undefined) {
+        return base;
+    }
+
+    if (Array.isArray(override)) {
+        if (!Array.isArray(base)) {
+            return override;
+        }
+        if (override.length === 0) {
+            return base;
+        }
+        const named = [...base, ...override].every(item => item && typeof item === 'object' && 'name' in item);
+        if (!named) {
+            return override;
+        }
+        const merged = base.map(item => deepMerge(item, override.find(entry => entry.name === item.name)));
+        for (const item of override) {
+            if (!base.some(entry => entry.name === item.name)) {
+                merged.push(item);
+            }
+        }
+        return merged;
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(base) && isObject(override)) {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            merged[key] = deepMerge(base[key], value);
+        }
+        return merged;
+    }
+
+    return override;
+}
+
+/**
+ * Compare a current value with a desired one and list the field-level differences.
+ * Only keys present in the desired objects are compared, so server-side defaults and
+ * read-only properties are ignored. Named lists are matched by name, other lists item by item
+ * and reported whole when their length differs.
+ * @param {*} current - Current value
+ * @param {*} desired - Desired value
+ * @param {string} [path] - Path of the values, used in the change list
+ * @returns {{path: string, before: *, after: *}[]} Changes
+ */
+export function diffValues(current, desired, path = '') {
+    if (desired === undefined) {
+        return [];
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNamedList = list => list.every(item => isObject(item) && 'name' in item);
+
+    if (Array.isArray(desired)) {
+        const currentList = Array.isArray(current) ? current : [];
+        if (desired.length === 0 && currentList.length === 0) {
+            return [];
+        }
+
+        if (isNamedList(desired) && isNamedList(currentList)) {
+            const changes = desired.flatMap(item => diffValues(
+                currentList.find(entry => entry.name === item.name),
+                item,
+                `${path}[${item.name}]`
+            ));
+            for (const item of currentList) {
+                if (!desired.some(entry => entry.name === item.name)) {
+                    changes.push({ path: `${path}[${item.name}]`, before: item, after: undefined });
+                }
+            }
+            return changes;
+        }
+
+        if (currentList.length !== desired.length) {
+            return [{ path, before: current, after: desired }];
+        }
+        return desired.flatMap((item, index) => diffValues(currentList[index], item, `${path}[${index}]`));
+    }
+
+    if (isObject(desired)) {
+        if (!isObject(current)) {
+            return [{ path, before: current ?? undefined, after: desired }];
+        }
+        return Object.keys(desired).flatMap(key => diffValues(current[key], desired[key], path ? `${path}.${key}` : key));
+    }
+
+    if (current === desired || (current == null && desired == null)) {
+        return [];
+    }
+    return [{ path, before: current ?? undefined, after: desired }];
+}
+
+/**
+ * Format a change from diffValues as a single line
+ * @param {{path: string, before: *, after: *}} change - Change
+ * @returns {string} Formatted change
+ */
+export function formatChange(change) {
+    if (change.before === undefined) {
+        return `+ ${change.path}: ${JSON.stringify(change.after)}`;
+    }
+    if (change.after === undefined) {
+        return `- ${change.path}: ${JSON.stringify(change.before)}`;
+    }
+    return `~ ${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`;
 }
 
 /**
@@ -55,33 +240,261 @@ export function normalizeAzureLocation(location) {
 }
 
 /**
- * Query and dump container app job logs from Log Analytics
+ * Classify a job execution replica as Running, Succeeded or Failed
+ * @param {object} replica - Replica returned by the execution replicas endpoint
+ * @param {string} [containerName] - Container whose state decides the outcome
+ * @returns {string} Replica outcome
+ */
+export function classifyReplica(replica, containerName = 'main') {
+    const containers = replica?.containers || [];
+    const container = containers.find(c => c.name === containerName) || containers[0];
+    const state = container?.runningState || replica?.runningState;
+
+    if (state === 'Running' || state === 'Waiting') {
+        return 'Running';
+    }
+
+    const details = `${container?.runningStateDetails || ''} ${replica?.runningStateDetails || ''}`;
+    const exitCodeMatch = /exit code:?\s*(-?\d+)/i.exec(details);
+    if (exitCodeMatch) {
+        return exitCodeMatch[1] === '0' ? 'Succeeded' : 'Failed';
+    }
+
+    if (/error|fail|oomkilled|crash|backoff/i.test(details)) {
+        return 'Failed';
+    }
+
+    return 'Succeeded';
+}
+
+/**
+ * Statuses of a finished execution and how the action reports them: a Stopped execution was cancelled,
+ * e.g. by action stop or by another run with concurrency cancel-running, and a Degraded one failed
+ */
+export const FINAL_EXECUTION_STATUSES = {
+    Succeeded: 'Succeeded',
+    Failed: 'Failed',
+    Stopped: 'Cancelled',
+    Degraded: 'Failed'
+};
+
+/**
+ * Check whether an execution status is final
+ * @param {string} [status] - Execution status
+ * @returns {boolean} True when the execution has finished
+ */
+export function isFinalExecutionStatus(status) {
+    return Object.hasOwn(FINAL_EXECUTION_STATUSES, status ?? '');
+}
+
+/**
+ * Summarize the outcome of every replica of a job execution
+ * @param {object[]} replicas - Replicas of the execution
+ * @param {string} [executionStatus] - Current execution status
+ * @returns {{total: number, running: number, succeeded: number, failed: number, replicas: object[]}} Replica summary
+ */
+export function summarizeReplicas(replicas, executionStatus) {
+    const terminal = isFinalExecutionStatus(executionStatus);
+    const finalOutcome = executionStatus === 'Succeeded' ? 'Succeeded' : 'Failed';
+    const summary = { total: 0, running: 0, succeeded: 0, failed: 0, replicas: [] };
+
+    for (const replica of replicas || []) {
+        let outcome = classifyReplica(replica);
+
+        // A finished execution can still report replicas as running for a short while
+        if (outcome === 'Running' && terminal) {
+            outcome = finalOutcome;
+        }
+
+        summary.replicas.push({ name: replica.name, outcome });
+        summary[outcome.toLowerCase()]++;
+        summary.total++;
+    }
+
+    // Fall back to the execution status when replica details are unavailable
+    if (summary.total === 0 && terminal) {
+        summary.total = 1;
+        summary[finalOutcome.toLowerCase()] = 1;
+    }
+
+    return summary;
+}
+
+/**
+ * Known causes of a failed execution, checked in order against replica states and system log events
+ */
+const FAILURE_PATTERNS = [
+    {
+        reason: 'ImagePullFailure',
+        description: 'The image could not be pulled. Check the image name and tag and the registry credentials or identity.',
+        pattern: /ImagePull|ErrImagePull|pull(ing)? image.*(fail|error|denied|unauthorized|not found)|manifest unknown/i
+    },
+    {
+        reason: 'SecretAccessFailure',
+        description: 'A secret could not be read. Check that the identity has access to the Key Vault secret and that it exists.',
+        pattern: /key ?vault|SecretRef|secret.*(forbidden|denied|not found|unauthorized)/i
+    },
+    {
+        reason: 'OutOfMemory',
+        description: 'The container ran out of memory and was killed. Increase the memory input.',
+        pattern: /OOMKilled|out of memory|exit code:?\s*'?137/i
+    },
+    {
+        reason: 'StartupFailure',
+        description: 'The container failed to start. Check the command, args and probes.',
+        pattern: /ProbeFail|probe failed|CrashLoopBackOff|ContainerCreat\w*(Fail|Error)|failed to (start|create) container|executable file not found/i
+    },
+    {
+        reason: 'ReplicaTimeout',
+        description: 'The replica ran longer than the timeout input and was stopped.',
+        pattern: /DeadlineExceeded|ReplicaTimeout|timed out/i
+    }
+];
+
+/**
+ * Work out why an execution failed from its replicas and system log events
+ * @param {object[]} replicas - Replicas returned by the execution replicas endpoint
+ * @param {object[]} [events] - System log records with Reason_s and Log_s
+ * @param {string} [containerName] - Container whose exit code and restarts are reported
+ * @returns {{reason: string, description: string, exitCode: number|null, restartCount: number, evidence: string|null}} Diagnosis
+ */
+export function diagnoseFailure(replicas, events = [], containerName = 'main') {
+    const evidence = [];
+    let exitCode = null;
+    let restartCount = 0;
+
+    for (const replica of replicas || []) {
+        const containers = replica.containers || [];
+        const container = containers.find(c => c.name === containerName) || containers[0];
+        restartCount = Math.max(restartCount, container?.restartCount || 0);
+
+        for (const item of [replica, ...containers]) {
+            if (item.runningStateDetails) {
+                evidence.push(`${item.name}: ${item.runningStateDetails}`);
+            }
+        }
+
+        const exitCodeMatch = /exit code:?\s*'?(-?\d+)/i.exec(container?.runningStateDetails || '');
+        if (exitCodeMatch && Number(exitCodeMatch[1]) !== 0) {
+            exitCode = Number(exitCodeMatch[1]);
+        }
+    }
+
+    for (const event of events) {
+        const message = [event.Reason_s, event.Log_s].filter(Boolean).join(': ');
+        if (message) {
+            evidence.push(message);
+        }
+
+        const exitCodeMatch = /exit code:?\s*'?(-?\d+)/i.exec(event.Log_s || '');
+        if (exitCode === null && exitCodeMatch && Number(exitCodeMatch[1]) !== 0) {
+            exitCode = Number(exitCodeMatch[1]);
+        }
+    }
+
+    for (const { reason, description, pattern } of FAILURE_PATTERNS) {
+        const match = evidence.find(text => pattern.test(text));
+        if (match) {
+            return { reason, description, exitCode, restartCount, evidence: match };
+        }
+    }
+
+    if (exitCode !== null) {
+        return {
+            reason: 'NonZeroExitCode',
+            description: `The container exited with code ${exitCode}. Check the container logs.`,
+            exitCode,
+            restartCount,
+            evidence: null
+        };
+    }
+
+    return {
+        reason: 'Unknown',
+        description: 'Azure did not report why the execution failed. Check the container and system logs.',
+        exitCode,
+        restartCount,
+        evidence: evidence.at(-1) || null
+    };
+}
+
+/**
+ * Convert a job execution into the plain object exposed in action outputs
+ * @param {object} execution - Job execution returned by Azure
+ * @param {object} [replicaSummary] - Replica summary from summarizeReplicas
+ * @returns {{name: string, status: string, startTime: string|null, endTime: string|null, replicas?: object}} Execution summary
+ */
+export function describeExecution(execution, replicaSummary) {
+    const toIsoString = value => (value ? new Date(value).toISOString() : null);
+    const description = {
+        name: execution.name,
+        status: execution.status,
+        startTime: toIsoString(execution.startTime),
+        endTime: toIsoString(execution.endTime)
+    };
+    if (replicaSummary) {
+        description.replicas = replicaSummary;
+    }
+    return description;
+}
+
+/**
+ * Keep the executions matching a status filter and a maximum age, newest first
+ * @param {object[]} executions - Job executions
+ * @param {object} [filter] - Filter
+ * @param {string[]} [filter.statuses] - Statuses to keep, case-insensitive
+ * @param {number} [filter.maxAgeHours] - Drop executions that started longer ago than this
+ * @param {number} [filter.now] - Current time in milliseconds, for tests
+ * @returns {object[]} Matching executions
+ */
+export function filterExecutions(executions, filter = {}) {
+    const { statuses = [], maxAgeHours, now = Date.now() } = filter;
+    const wanted = statuses.map(status => status.toLowerCase());
+    const startOf = execution => (execution.startTime ? new Date(execution.startTime).getTime() : now);
+
+    return executions
+        .filter(execution => wanted.length === 0 || wanted.includes((execution.status || '').toLowerCase()))
+        .filter(execution => !maxAgeHours || now - startOf(execution) <= maxAgeHours * 3600 * 1000)
+        .sort((a, b) => startOf(b) - startOf(a));
+}
+
+/**
+ * Check whether enough replicas succeeded
+ * @param {{total: number, succeeded: number}} summary - Replica summary
+ * @param {{count?: number, percent?: number}} threshold - Success threshold
+ * @returns {boolean} True when the threshold is met
+ */
+export function meetsSuccessThreshold(summary, threshold) {
+    if (threshold.count !== undefined) {
+        return summary.succeeded >= threshold.count;
+    }
+
+    const required = Math.ceil(summary.total * threshold.percent / 100);
+    return summary.succeeded >= required;
+}
+
+/**
+ * Query and dump container app job logs from Log Analytics, applying workflow commands emitted by the container
  * @param {string} workspaceId - Log Analytics Workspace ID
  * @param {string} jobName - Container job name to filter logs
- * @param {string} [executionName] - Specific execution name to limit logs to the active execution
- * @returns {Promise<void>}
+ * @param {object} execution - Job execution, whose name filters the logs and whose start and end time bound the query
+ * @returns {Promise<string[]>} Printed log lines
  */
-export async function dumpJobLogs(workspaceId, jobName, executionName) {
+export async function dumpJobLogs(workspaceId, jobName, execution) {
     if (!workspaceId || workspaceId.trim() === '') {
         core.info('No Log Analytics Workspace ID provided, skipping log dump');
-        return;
+        return [];
     }
 
     try {
         core.info('Querying container job logs from Log Analytics...');
         
-        const credential = new DefaultAzureCredential();
-        const logsClient = new LogsQueryClient(credential);
+        const logsClient = createLogsQueryClient();
         
-        const safeJobName = jobName.replaceAll('\\', '\\\\').replaceAll('"', '\\"');
-        const executionFilter = executionName
-            ? `| where ContainerGroupName_s == "${executionName.replaceAll('\\', '\\\\').replaceAll('"', '\\"')}"`
-            : '';
-
         const query = `
             ContainerAppConsoleLogs_CL
-            | where ContainerJobName_s == "${safeJobName}"
-            ${executionFilter}
+            | where ContainerJobName_s == "${escapeKqlString(jobName)}"
+            | where ContainerGroupName_s == "${escapeKqlString(execution.name)}"
             | order by TimeGenerated asc
             | project TimeGenerated, Log_s
         `;
@@ -91,10 +504,11 @@ export async function dumpJobLogs(workspaceId, jobName, executionName) {
         let table = null;
 
         while (attempt < 6) {
+            // The execution's own window, so long runs keep their early logs
             result = await logsClient.queryWorkspace(
                 workspaceId,
                 query,
-                { duration: 'PT1H' }
+                getExecutionLogWindow(execution)
             );
 
             if (result.status === 'Success' && result.tables && result.tables.length > 0) {
@@ -111,13 +525,260 @@ export async function dumpJobLogs(workspaceId, jobName, executionName) {
             }
         }
 
-        writeLogs(result, table);
+        return writeLogs(result, table);
     } catch (error) {
         core.warning(`Failed to retrieve logs from Log Analytics: ${error.message}`);
         core.info('Note: Logs can take several minutes to appear in Log Analytics after job execution');
+        return [];
     }
 }
 
+/**
+ * Escape a value for use inside a double-quoted KQL string literal
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeKqlString(value) {
+    return value.replaceAll('\\', '\\\\').replaceAll('"', '\\"');
+}
+
+/**
+ * Format a [TimeGenerated, Log_s] row for the step log
+ * @param {Array} row - Log Analytics row
+ * @returns {string} Formatted log line
+ */
+function formatLogRow(row) {
+    const timestamp = new Date(row[0]).toISOString()
+        .replace('T', ' ').split('.')[0];
+    return `[${timestamp}] ${row[1]}`;
+}
+
+/**
+ * Annotation properties of ::error::, ::warning:: and ::notice:: lines and their @actions/core names
+ */
+const ANNOTATION_PROPERTIES = {
+    title: 'title',
+    file: 'file',
+    line: 'startLine',
+    endLine: 'endLine',
+    col: 'startColumn',
+    endColumn: 'endColumn'
+};
+
+/**
+ * Undo the escaping of workflow command data and property values
+ * @param {string} value - Escaped value
+ * @returns {string} Unescaped value
+ */
+function unescapeCommandValue(value) {
+    return value
+        .replaceAll('%0D', '\r')
+        .replaceAll('%0A', '\n')
+        .replaceAll('%3A', ':')
+        .replaceAll('%2C', ',')
+        .replaceAll('%25', '%');
+}
+
+/**
+ * Parse a container log line that uses the workflow command convention:
+ * `::set-output name=x::value`, `::outputs::{"x": "value"}` or `::error|warning|notice [properties]::message`.
+ * @param {string} message - Log line
+ * @returns {{type: string, outputs?: object, message?: string, properties?: object}|null} Command, or null for ordinary lines
+ */
+export function parseWorkflowCommand(message) {
+    const match = /^::([a-z-]+)(?: ([^:]*))?::(.*)$/s.exec(String(message ?? '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, command, propertyString = '', data] = match;
+    const properties = {};
+    for (const pair of propertyString.split(',')) {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            properties[pair.slice(0, separator).trim()] = unescapeCommandValue(pair.slice(separator + 1));
+        }
+    }
+
+    if (command === 'set-output' && properties.name) {
+        return { type: 'output', outputs: { [properties.name]: unescapeCommandValue(data) } };
+    }
+
+    if (command === 'outputs') {
+        try {
+            const outputs = JSON.parse(data);
+            if (outputs && typeof outputs === 'object' && !Array.isArray(outputs)) {
+                return { type: 'output', outputs };
+            }
+        } catch {
+            // Not a JSON object, so the line is printed as is
+        }
+        return null;
+    }
+
+    if (['error', 'warning', 'notice'].includes(command)) {
+        const annotation = {};
+        for (const [name, value] of Object.entries(properties)) {
+            const key = ANNOTATION_PROPERTIES[name];
+            if (key) {
+                annotation[key] = ['startLine', 'endLine', 'startColumn', 'endColumn'].includes(key) ? Number(value) : value;
+            }
+        }
+        return { type: command, message: unescapeCommandValue(data), properties: annotation };
+    }
+
+    return null;
+}
+
+/**
+ * Outputs of the action itself, which the container cannot set
+ */
+const RESERVED_OUTPUT_NAMES = [
+    'job-name',
+    'execution',
+    'executions',
+    'failure-reason',
+    'deleted-jobs',
+    'export-file',
+    'changed',
+    'execution-name',
+    'status',
+    'succeeded-replicas',
+    'failed-replicas'
+];
+
+/**
+ * Print a log row, or apply it when the container emitted a workflow command
+ * @param {Array} row - Log Analytics row
+ * @returns {string|null} Printed line, or null when the row was a command
+ */
+function processLogRow(row) {
+    const command = parseWorkflowCommand(row[1]);
+    if (!command) {
+        const line = formatLogRow(row);
+        core.info(line);
+        return line;
+    }
+
+    if (command.type === 'output') {
+        for (const [name, value] of Object.entries(command.outputs)) {
+            // Output names are case-insensitive in workflow expressions
+            if (RESERVED_OUTPUT_NAMES.includes(name.toLowerCase())) {
+                core.warning(`Ignoring output ${name} set by the container, it is an output of the action`);
+                continue;
+            }
+            core.info(`Container set output: ${name}`);
+            core.setOutput(name, typeof value === 'string' ? value : JSON.stringify(value));
+        }
+    } else {
+        core[command.type](command.message, command.properties);
+    }
+    return null;
+}
+
+/**
+ * Create a live log stream for a running execution. Each poll queries the rows ingested
+ * since the previous poll and prints the ones that were not shown yet. Workflow commands emitted by
+ * the container (see parseWorkflowCommand) are applied instead of printed.
+ * @param {string} workspaceId - Log Analytics Workspace ID
+ * @param {string} jobName - Container job name to filter logs
+ * @param {string} executionName - Execution name to filter logs
+ * @returns {{poll: function(): Promise<number>, drain: function(): Promise<string[]>}} Log stream, drain returns every printed line
+ */
+export function createLogStream(workspaceId, jobName, executionName) {
+    const logsClient = createLogsQueryClient();
+
+    // Allow for clock skew between the runner and Azure
+    const startTime = new Date(Date.now() - 5 * 60 * 1000);
+    const seen = new Map();
+    let lastIngested = null;
+    let received = 0;
+    const lines = [];
+
+    async function poll() {
+        const ingestedFilter = lastIngested
+            ? `| where Ingested >= datetime(${lastIngested.toISOString()})`
+            : '';
+
+        const query = `
+            ContainerAppConsoleLogs_CL
+            | where ContainerJobName_s == "${escapeKqlString(jobName)}"
+            | where ContainerGroupName_s == "${escapeKqlString(executionName)}"
+            | extend Ingested = ingestion_time()
+            ${ingestedFilter}
+            | order by Ingested asc, TimeGenerated asc
+            | project TimeGenerated, Log_s, Ingested
+        `;
+
+        let count = 0;
+        try {
+            const result = await logsClient.queryWorkspace(workspaceId, query, { startTime, endTime: new Date() });
+            const rows = result.tables?.[0]?.rows || [];
+
+            for (const row of rows) {
+                const ingested = new Date(row[2]);
+                const key = `${ingested.getTime()}|${new Date(row[0]).getTime()}|${row[1]}`;
+                if (seen.has(key)) {
+                    continue;
+                }
+                seen.set(key, ingested.getTime());
+
+                if (received === 0) {
+                    core.info('========== Live Container Job Logs ==========');
+                }
+                const line = processLogRow(row);
+                if (line !== null) {
+                    lines.push(line);
+                }
+                received++;
+                count++;
+
+                if (!lastIngested || ingested > lastIngested) {
+                    lastIngested = ingested;
+                }
+            }
+
+            // Rows ingested before the last seen batch are filtered out by the next query
+            for (const [key, ingestedAt] of seen) {
+                if (ingestedAt < lastIngested?.getTime()) {
+                    seen.delete(key);
+                }
+            }
+        } catch (error) {
+            core.debug(`Live log query failed: ${error.message}`);
+        }
+
+        return count;
+    }
+
+    async function drain() {
+        // Log Analytics ingestion lags behind the container, so keep polling until the stream goes quiet
+        let emptyPolls = 0;
+        for (let attempt = 0; attempt < 6 && emptyPolls < 2; attempt++) {
+            if (attempt > 0) {
+                await sleep(5000);
+            }
+            const count = await poll();
+            emptyPolls = count === 0 && received > 0 ? emptyPolls + 1 : 0;
+        }
+
+        if (received > 0) {
+            core.info(`========== End of Logs (${received} entries) ==========\n`);
+        } else {
+            core.info('No logs found for this job after 30 seconds. Logs may take a while to appear in Log Analytics.');
+        }
+        return lines;
+    }
+
+    return { poll, drain };
+}
+
+/**
+ * Print the rows of a log query
+ * @param {object} result - Log Analytics query result
+ * @param {object} table - First table of the result
+ * @returns {string[]} Printed log lines
+ */
 function writeLogs(result, table) {
     if (result.status === 'PartialError') {
         core.warning('Partial error retrieving logs:');
@@ -128,15 +789,172 @@ function writeLogs(result, table) {
 
     if (table && table.rows.length > 0) {
         core.info(`\n========== Container Job Logs (${table.rows.length} entries) ==========`);
-        for (const row of table.rows) {
-            const timestamp = new Date(row[0]).toISOString()
-                .replace('T', ' ').split('.')[0];
-            const logMessage = row[1];
-            core.info(`[${timestamp}] ${logMessage}`);
-        }
+        const lines = table.rows.map(processLogRow).filter(line => line !== null);
         core.info('========== End of Logs ==========\n');
-    } else {
-        core.info('No logs found for this job after 30 seconds. Logs may take a while to appear in Log Analytics.');
+        return lines;
+    }
+
+    core.info('No logs found for this job after 30 seconds. Logs may take a while to appear in Log Analytics.');
+    return [];
+}
+
+/**
+ * Minutes added around the execution's start and end time when querying its logs,
+ * to allow for clock skew and rows logged while the replicas shut down
+ */
+const LOG_WINDOW_MARGIN_MINUTES = 5;
+
+/**
+ * Get the window in which an execution can have logged, from its start and end time
+ * @param {object} execution - Job execution; a running one ends now
+ * @returns {{startTime: Date, endTime: Date}} Query window
+ */
+function getExecutionLogWindow(execution) {
+    const margin = LOG_WINDOW_MARGIN_MINUTES * 60 * 1000;
+    return {
+        startTime: new Date(new Date(execution.startTime || Date.now()).getTime() - margin),
+        endTime: new Date(Math.min(Date.now(), new Date(execution.endTime || Date.now()).getTime() + margin))
+    };
+}
+
+/**
+ * Convert a Log Analytics table into one object per row, keyed by column name
+ * @param {{columnDescriptors: {name: string}[], rows: Array[]}} table - Log Analytics table
+ * @returns {object[]} Log records
+ */
+export function toLogRecords(table) {
+    const columns = (table?.columnDescriptors || []).map(column => column.name);
+    return (table?.rows || []).map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+}
+
+/**
+ * Format a console or system log record as a line of text
+ * @param {object} record - Log record from toLogRecords
+ * @returns {string} Log line
+ */
+function formatLogRecord(record) {
+    const source = record.ContainerName_s || record.Reason_s || record.Type_s;
+    return `[${new Date(record.TimeGenerated).toISOString()}]${source ? ` [${source}]` : ''} ${record.Log_s ?? ''}`;
+}
+
+/**
+ * Query every row of a log table within a time window
+ * @param {import('@azure/monitor-query-logs').LogsQueryClient} logsClient - Log Analytics query client
+ * @param {string} workspaceId - Log Analytics Workspace ID
+ * @param {string} query - KQL query
+ * @param {{startTime: Date, endTime: Date}} timespan - Query window
+ * @returns {Promise<object[]>} Log records
+ */
+async function queryLogRecords(logsClient, workspaceId, query, timespan) {
+    const result = await logsClient.queryWorkspace(workspaceId, query, timespan);
+    if (result.status === 'PartialFailure') {
+        core.warning(`Partial error retrieving logs: ${result.partialError?.message}`);
+        return toLogRecords(result.partialTables?.[0]);
+    }
+    return toLogRecords(result.tables?.[0]);
+}
+
+/**
+ * Build the query for the system log events (image pulls, probes, terminations) of an execution
+ * @param {string} jobName - Container job name
+ * @param {string} executionName - Execution name
+ * @returns {string} KQL query
+ */
+function systemLogQuery(jobName, executionName) {
+    return `
+            ContainerAppSystemLogs_CL
+            | where JobName_s == "${escapeKqlString(jobName)}"
+            | where ExecutionName_s == "${escapeKqlString(executionName)}"
+            | order by TimeGenerated asc
+        `;
+}
+
+/**
+ * Get the system log events of an execution, for failure diagnostics
+ * @param {string} workspaceId - Log Analytics Workspace ID
+ * @param {string} jobName - Container job name
+ * @param {object} execution - Job execution
+ * @returns {Promise<object[]>} System log records, or an empty array when they could not be retrieved
+ */
+export async function getExecutionSystemEvents(workspaceId, jobName, execution) {
+    if (!workspaceId) {
+        return [];
+    }
+
+    try {
+        const logsClient = createLogsQueryClient();
+        return await queryLogRecords(logsClient, workspaceId, systemLogQuery(jobName, execution.name), getExecutionLogWindow(execution));
+    } catch (error) {
+        core.debug(`Could not query system logs for ${execution.name}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Upload the console and system logs of an execution as an artifact, as plain text and NDJSON
+ * @param {string} workspaceId - Log Analytics Workspace ID
+ * @param {string} jobName - Container job name
+ * @param {object} execution - Job execution, whose start and end time bound the query
+ * @returns {Promise<void>}
+ */
+export async function uploadExecutionLogs(workspaceId, jobName, execution) {
+    if (!workspaceId) {
+        return;
+    }
+
+    const timespan = getExecutionLogWindow(execution);
+    const safeJobName = escapeKqlString(jobName);
+    const safeExecutionName = escapeKqlString(execution.name);
+
+    const queries = {
+        console: `
+            ContainerAppConsoleLogs_CL
+            | where ContainerJobName_s == "${safeJobName}"
+            | where ContainerGroupName_s == "${safeExecutionName}"
+            | order by TimeGenerated asc
+        `,
+        system: systemLogQuery(jobName, execution.name)
+    };
+
+    try {
+        const logsClient = createLogsQueryClient();
+        const files = {};
+        for (const [kind, query] of Object.entries(queries)) {
+            const records = await queryLogRecords(logsClient, workspaceId, query, timespan);
+            files[`${kind}.log`] = records.map(formatLogRecord).join('\n');
+            files[`${kind}.ndjson`] = records.map(record => JSON.stringify(record)).join('\n');
+            core.info(`Retrieved ${records.length} ${kind} log entries for ${execution.name}`);
+        }
+
+        const { id, size } = await uploadArtifactFiles(`logs-${execution.name}`, files);
+        core.info(`Uploaded execution logs artifact (ID: ${id}, Size: ${size} bytes)`);
+    } catch (error) {
+        core.warning(`Failed to upload execution logs: ${error.message}`);
+    }
+}
+
+/**
+ * Write files to a temporary directory and upload them as one artifact
+ * @param {string} name - Artifact name
+ * @param {Object<string, string>} files - File contents by file name
+ * @returns {Promise<{id: number, size: number}>} Uploaded artifact
+ */
+async function uploadArtifactFiles(name, files) {
+    const tempDir = mkdtempSync(path.join(tmpdir(), 'job-artifact-'));
+    try {
+        const filePaths = Object.entries(files).map(([fileName, content]) => {
+            const filePath = path.join(tempDir, fileName);
+            writeFileSync(filePath, content, { encoding: 'utf8' });
+            return filePath;
+        });
+
+        return await createArtifactClient().uploadArtifact(name, filePaths, tempDir, {});
+    } finally {
+        try {
+            rmSync(tempDir, { recursive: true, force: true });
+        } catch (error_) {
+            core.warning(`Failed to cleanup temp files: ${error_.message}`);
+        }
     }
 }
 
@@ -146,33 +964,36 @@ function writeLogs(result, table) {
  * @returns {Promise<void>}
  */
 export async function uploadJobDefinition(jobConfig) {
-    const tempDir = mkdtempSync(path.join(tmpdir(), 'job-def-'));
     try {
-        const client = new DefaultArtifactClient();
-        const filePath = path.join(tempDir, 'job-definition.json');
-        writeFileSync(filePath, JSON.stringify(jobConfig, null, 2), { encoding: 'utf8' });
-
         // get current time for unique artifact name
         const timestamp = new Date().toISOString()
             .replaceAll(':', '')
             .replaceAll('-', '')
             .split('.')[0];
 
-        const {id, size} = await client.uploadArtifact(
+        const {id, size} = await uploadArtifactFiles(
             `job-definition-${timestamp}`,
-            [filePath],
-            tempDir,
-            {}
+            { 'job-definition.json': JSON.stringify(jobConfig, null, 2) }
         );
         core.info(`Uploaded job definition artifact (ID: ${id}, Size: ${size} bytes)`);
 
     } catch (err) {
         core.setFailed(`Artifact upload failed: ${err?.message || String(err)}`);
-    } finally {
-        try {
-            rmSync(tempDir, { recursive: true, force: true });
-        } catch (error_) {
-            core.warning(`Failed to cleanup temp files: ${error_.message}`);
-        }
+    }
+}
+
+/**
+ * Upload a job exported as infrastructure as code as an artifact
+ * @param {string} jobName - Job name
+ * @param {string} fileName - Name of the exported file
+ * @param {string} content - Exported file content
+ * @returns {Promise<void>}
+ */
+export async function uploadJobExport(jobName, fileName, content) {
+    try {
+        const { id, size } = await uploadArtifactFiles(`job-export-${jobName}`, { [fileName]: content });
+        core.info(`Uploaded job export artifact (ID: ${id}, Size: ${size} bytes)`);
+    } catch (error) {
+        core.warning(`Failed to upload job export: ${error.message}`);
     }
 }